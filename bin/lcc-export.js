@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * lcc-export - convert an LCC scan to INRIA 3DGS .ply, antimatter15 .splat or Niantic .spz
+ *
+ *   node bin/lcc-export.js in/meta.lcc out.ply --lod 2 [--cell x,y] [--sh-degree 0-3] [--y-up] [--clip clip.json]
+ *
+ * Reads a scan folder, .lcc file or .zip archive from the local filesystem and
+ * decodes on worker_threads. PLY and .splat are streamed to disk in chunks,
+ * so even LOD 0 never has to fit in memory at once; SPZ is columnar and
+ * gzipped as a whole, so the selected LOD/cell is decoded in memory.
+ * --clip takes clip volumes saved by the viewer ({ volumes: [...] } in LCC
+ * coordinates) and drops the splats they cut away.
+ */
+
+import { open, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { LCCLoader } from '../lcc-loader.js';
+import { NodeFileSource, ZipSource } from '../lcc-sources.js';
+import { toPLYHeader, toPLYRows, toSplat, toSPZ } from '../lcc-exporter.js';
+import { ClipVolumes } from '../lcc-clipping.js';
+
+const BYTES_PER_SPLAT = 32;
+const BYTES_PER_SH = 64;
+const CHUNK_SPLATS = 65536;
+const PROGRESS_INTERVAL = 250; // ms
+
+const FORMATS = ['ply', 'splat', 'spz'];
+
+const usage = 'Usage: lcc-export <meta.lcc|dir|scan.zip> <out.ply|out.splat|out.spz> [--lod N] [--cell x,y] [--sh-degree N] [--y-up] [--clip clip.json]';
+
+async function openInput(input) {
+    if (!/\.zip$/i.test(input)) return new NodeFileSource(input);
+    const archive = new NodeFileSource(path.dirname(input));
+    return Object.assign(await ZipSource.open(archive, path.basename(input)), { close: () => archive.close() });
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            lod: { type: 'string', default: '0' },
+            cell: { type: 'string' },
+            'sh-degree': { type: 'string', default: '3' },
+            'y-up': { type: 'boolean', default: false },
+            clip: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 2) {
+        console.error(usage);
+        process.exit(values.help ? 0 : 1);
+    }
+    const [input, output] = positionals;
+    const lod = parseInt(values.lod);
+    const yUp = values['y-up'];
+    const format = path.extname(output).slice(1).toLowerCase();
+    if (!FORMATS.includes(format)) throw new Error(`Unknown output format ".${format}" (expected ${FORMATS.join(', ')})`);
+    const clip = values.clip ? ClipVolumes.fromJSON(await readFile(values.clip, 'utf8')) : null;
+
+    // Metadata + index
+    const source = await openInput(input);
+    const loader = new LCCLoader({ targetLOD: lod });
+    await loader.loadMeta(source);
+    await loader.loadIndex();
+
+    let cells = loader.getCells();
+    if (values.cell) {
+        const [x, y] = values.cell.split(',').map(Number);
+        const cell = loader.getCell(x, y);
+        if (!cell) throw new Error(`No cell at ${x},${y}`);
+        cells = [cell];
+    }
+    const nodes = cells.map(c => c.lods[lod]).filter(n => n && n.count > 0);
+    if (!nodes.length) throw new Error(`LOD ${lod} has no splats`);
+    const total = nodes.reduce((sum, n) => sum + n.count, 0);
+
+    const hasSH = loader.meta.fileType === 'Quality' && await source.size('shcoef.bin').then(() => true, () => false);
+    const shDegree = hasSH && format !== 'splat' ? Math.max(0, Math.min(3, parseInt(values['sh-degree']))) : 0;
+
+    // Stream chunks: read -> decode on the worker pool -> rows -> disk, keeping
+    // one chunk per worker in flight and writing them back in order.
+    // SPZ decodes every chunk into one buffer and encodes at the end.
+    const inMemory = format === 'spz';
+    const pool = await loader.decoder();
+    const depth = (pool?.workers.length ?? 0) + 1;
+    const alloc = capacity => {
+        const splats = loader.allocSplats(capacity);
+        splats.sphericalHarmonics = shDegree > 0 ? new Float32Array(capacity * 45) : null;
+        return splats;
+    };
+    const all = inMemory ? alloc(total) : null;
+    const buffers = inMemory ? null : Array.from({ length: depth }, () => alloc(CHUNK_SPLATS));
+
+    const chunks = [];
+    for (const range of loader.mergeRanges(nodes)) {
+        const rangeSplats = range.size / BYTES_PER_SPLAT;
+        for (let first = 0; first < rangeSplats; first += CHUNK_SPLATS) {
+            const count = Math.min(CHUNK_SPLATS, rangeSplats - first);
+            chunks.push({ offset: range.offset + first * BYTES_PER_SPLAT, count });
+        }
+    }
+
+    const decode = async ({ offset, count }, splats, at) => {
+        const [data, sh] = await Promise.all([
+            loader.readRange('data.bin', offset, count * BYTES_PER_SPLAT),
+            shDegree > 0 ? loader.readRange('shcoef.bin', offset * 2, count * BYTES_PER_SH) : null
+        ]);
+        await Promise.all([
+            loader.decodeChunk(pool, 'splats', data, count, splats, at),
+            sh && loader.decodeChunk(pool, 'sh', sh, count, splats.sphericalHarmonics, at)
+        ]);
+        return splats;
+    };
+
+    // With --clip the PLY vertex count is only known at the end: the header is
+    // written for `total` and rewritten in place, its comment padded with spaces
+    // by the digits the count lost so the length stays the same
+    const plyHeader = count => toPLYHeader(count, { shDegree, comment: 'lcc-export' + ' '.repeat(String(total).length - String(count).length) });
+    // Progress only on a terminal, where \r rewrites the line
+    let shown = 0;
+    const progress = process.stderr.isTTY ? (done, force) => {
+        if (!force && performance.now() - shown < PROGRESS_INTERVAL) return;
+        shown = performance.now();
+        process.stderr.write(`\r${done}/${total} splats`);
+    } : () => {};
+    const out = await open(output, 'w');
+    try {
+        if (format === 'ply') await out.write(plyHeader(total));
+        const inFlight = [];
+        let next = 0, queued = 0, written = 0, kept = 0;
+        while (written < total) {
+            while (next < chunks.length && inFlight.length < depth) {
+                const { count } = chunks[next];
+                const job = decode(chunks[next], inMemory ? all : buffers[next % depth], inMemory ? queued : 0);
+                job.catch(() => {}); // surfaced when its turn comes
+                inFlight.push({ job, count });
+                queued += count;
+                next++;
+            }
+            const { job, count } = inFlight.shift();
+            let splats = await job, rows = count;
+            if (clip && !inMemory) {
+                splats = clip.filter(splats, count);
+                rows = splats.splatCount;
+            }
+
+            if (format === 'ply') await out.write(toPLYRows(splats, { shDegree, count: rows, yUp }));
+            else if (format === 'splat') await out.write(new Uint8Array(toSplat(splats, { count: rows, yUp })));
+            written += count;
+            kept += rows;
+            progress(written, written === total);
+        }
+        if (inMemory) {
+            const data = clip ? clip.filter(all) : all;
+            kept = data.opacities.length;
+            await out.write(new Uint8Array(await toSPZ(data, { shDegree, yUp })));
+        }
+        if (format === 'ply' && clip) {
+            await out.write(plyHeader(kept), 0);
+        }
+        process.stderr.write(`${shown ? '\n' : ''}Wrote ${output} (LOD ${lod}, SH degree ${shDegree}${yUp ? ', Y-up' : ''}${clip ? `, ${kept} kept after clipping` : ''})\n`);
+    } finally {
+        loader.dispose();
+        await Promise.all([source.close(), out.close()]);
+    }
+}
+
+main().catch(e => {
+    console.error(`lcc-export: ${e.message}`);
+    process.exit(1);
+});
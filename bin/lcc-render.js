@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * lcc-render - render an LCC scan to a PNG without a GPU
+ *
+ *   node bin/lcc-render.js in/meta.lcc out.png [--lod N] [--position x,y,z] [--target x,y,z]
+ *       [--up x,y,z] [--fov deg] [--size WxH] [--sh-degree N] [--background rrggbb|none]
+ *       [--cull-radius R] [--clip clip.json]
+ *
+ * Reads a scan folder, .lcc file or .zip archive from the local filesystem,
+ * decodes one LOD on worker_threads and rasterizes it with SplatRasterizer.
+ * Camera coordinates are LCC (meta.lcc, Z-up). Without --position the camera
+ * looks at the boundingBox center from the -Y side, 30 degrees up, far enough
+ * for the box to fit; --target defaults to that center.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { LCCLoader } from '../lcc-loader.js';
+import { NodeFileSource, ZipSource } from '../lcc-sources.js';
+import { SplatRasterizer, toPNG } from '../lcc-rasterizer.js';
+import { ClipVolumes } from '../lcc-clipping.js';
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const usage = 'Usage: lcc-render <meta.lcc|dir|scan.zip> <out.png> [--lod N] [--position x,y,z] [--target x,y,z] [--up x,y,z] [--fov deg] [--size WxH] [--sh-degree N] [--background rrggbb|none] [--cull-radius R] [--clip clip.json]';
+
+async function openInput(input) {
+    if (!/\.zip$/i.test(input)) return new NodeFileSource(input);
+    const archive = new NodeFileSource(path.dirname(input));
+    return Object.assign(await ZipSource.open(archive, path.basename(input)), { close: () => archive.close() });
+}
+
+function vec3(value, name) {
+    const v = value.split(',').map(Number);
+    if (v.length !== 3 || !v.every(Number.isFinite)) throw new Error(`--${name} expects x,y,z`);
+    return v;
+}
+
+// Boundingbox framing: the box's bounding sphere fills the vertical FOV
+function defaultCamera(bb, fov, target) {
+    const center = target ?? bb.min.map((v, k) => (v + bb.max[k]) / 2);
+    const radius = Math.hypot(...bb.max.map((v, k) => v - bb.min[k])) / 2 || 1;
+    const distance = radius / Math.sin(fov * Math.PI / 360);
+    const up = Math.PI / 6;
+    return [center[0], center[1] - distance * Math.cos(up), center[2] + distance * Math.sin(up)];
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            lod: { type: 'string', default: '0' },
+            position: { type: 'string' },
+            target: { type: 'string' },
+            up: { type: 'string', default: '0,0,1' },
+            fov: { type: 'string', default: '70' },
+            size: { type: 'string', default: '512x512' },
+            'sh-degree': { type: 'string', default: '3' },
+            background: { type: 'string', default: '1a1a1f' },
+            'cull-radius': { type: 'string', default: '0' },
+            clip: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 2) {
+        console.error(usage);
+        process.exit(values.help ? 0 : 1);
+    }
+    const [input, output] = positionals;
+    const lod = parseInt(values.lod);
+    const fov = parseFloat(values.fov);
+    const [width, height] = values.size.split('x').map(Number);
+    if (!(width > 0 && height > 0)) throw new Error('--size expects WxH, e.g. 512x512');
+    const background = values.background === 'none' ? null
+        : [0, 2, 4].map(k => parseInt(values.background.slice(k, k + 2), 16) / 255);
+    if (background?.some(Number.isNaN)) throw new Error('--background expects rrggbb or none');
+    const shDegree = Math.max(0, Math.min(3, parseInt(values['sh-degree'])));
+    const clip = values.clip ? ClipVolumes.fromJSON(await readFile(values.clip, 'utf8')) : null;
+
+    const source = await openInput(input);
+    const loader = new LCCLoader({ targetLOD: lod, shDegree });
+    let data;
+    try {
+        await loader.loadMeta(source);
+        if (!(lod >= 0 && lod < loader.meta.splats.length)) throw new Error(`LOD ${values.lod} out of range (0-${loader.meta.splats.length - 1})`);
+        data = await loader.load(source, p => process.stderr.write(`\rLoading LOD ${lod} ${Math.round(p * 100)}%`));
+    } finally {
+        loader.dispose();
+        await source.close();
+    }
+
+    // The camera stays in LCC, so the model matrix is the identity and "up" is +Z
+    const target = values.target ? vec3(values.target, 'target') : null;
+    const position = values.position ? vec3(values.position, 'position') : defaultCamera(data.boundingBox, fov, target);
+    const camera = { position, target: target ?? data.boundingBox.min.map((v, k) => (v + data.boundingBox.max[k]) / 2), up: vec3(values.up, 'up'), fov };
+    const rasterizer = new SplatRasterizer({ width, height, shDegree, cullRadius: parseFloat(values['cull-radius']), clip, modelMatrix: IDENTITY, background });
+
+    process.stderr.write(`\rRendering ${data.splatCount} splats at ${width}x${height}...`);
+    const image = rasterizer.render(data, camera);
+    await writeFile(output, new Uint8Array(await toPNG(image)));
+    process.stderr.write(`\nWrote ${output} (LOD ${lod}, ${image.drawn} splats drawn, camera ${position.map(v => +v.toFixed(3)).join(',')})\n`);
+}
+
+main().catch(e => {
+    console.error(`lcc-render: ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * lcc-validate - check an LCC scan for corrupt or truncated files
+ *
+ *   node bin/lcc-validate.js in/meta.lcc [--json] [--max-messages N] [--bounds-tolerance F]
+ *
+ * Reads a scan folder, .lcc file or .zip archive from the local filesystem and
+ * prints one line per check (meta.lcc schema, totals and file sizes, index.bin
+ * ranges, shcoef.bin size, positions, boundingBox, quaternions). --json prints
+ * the validateLCC() report instead. Exits with 1 when any check fails.
+ */
+
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { NodeFileSource, ZipSource } from '../lcc-sources.js';
+import { validateLCC, formatReport } from '../lcc-validate.js';
+
+const usage = 'Usage: lcc-validate <meta.lcc|dir|scan.zip> [--json] [--max-messages N] [--bounds-tolerance F]';
+
+async function openInput(input) {
+    if (!/\.zip$/i.test(input)) return new NodeFileSource(input);
+    const archive = new NodeFileSource(path.dirname(input));
+    return Object.assign(await ZipSource.open(archive, path.basename(input)), { id: input, close: () => archive.close() });
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            json: { type: 'boolean', default: false },
+            'max-messages': { type: 'string', default: '5' },
+            'bounds-tolerance': { type: 'string', default: '1e-4' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        console.error(usage);
+        process.exit(values.help ? 0 : 1);
+    }
+
+    const source = await openInput(positionals[0]);
+    const tty = !values.json && process.stderr.isTTY;
+    let report;
+    try {
+        report = await validateLCC(source, {
+            maxMessages: parseInt(values['max-messages']),
+            boundsTolerance: parseFloat(values['bounds-tolerance']),
+            onProgress: tty ? f => process.stderr.write(`\rScanning data.bin ${Math.round(f * 100)}%`) : undefined
+        });
+    } finally {
+        await source.close();
+    }
+    if (tty) process.stderr.write('\r\x1b[K');
+    console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+    process.exitCode = report.ok ? 0 : 1;
+}
+
+main().catch(e => {
+    console.error(`lcc-validate: ${e.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * LCC Annotations
+ * Notes, issue markers and photos pinned to points in scan LCC coordinates,
+ * each with a view to fly to. A set belongs to one dataset (meta.lcc guid) and
+ * travels as a JSON sidecar, `<guid>.annotations.json`. AnnotationOverlay
+ * draws them as HTML labels over the canvas.
+ */
+
+import * as THREE from 'three';
+import { toView } from './lcc-tour.js';
+
+const ANNOTATIONS_VERSION = 1;
+export const ANNOTATION_KINDS = ['note', 'issue', 'photo'];
+
+const _p = new THREE.Vector3();
+
+/**
+ * Annotation: { id, kind, label, text, position: [x,y,z], view, image, created }.
+ * position is in LCC (meta.lcc, Z-up, before the Y-up rotation); view is a
+ * lcc-tour.js view to fly to, or null; image a photo URL, or null; created an
+ * ISO date.
+ */
+function toAnnotation(a, id) {
+    const position = [...(a.position ?? [])].map(Number);
+    if (position.length !== 3 || !position.every(Number.isFinite)) throw new Error(`Invalid annotation position ${JSON.stringify(a.position)}`);
+    const kind = a.kind ?? 'note';
+    if (!ANNOTATION_KINDS.includes(kind)) throw new Error(`Unknown annotation kind "${kind}" (expected ${ANNOTATION_KINDS.join(', ')})`);
+    return {
+        id, kind, label: String(a.label ?? ''), text: String(a.text ?? ''), position,
+        view: a.view ? toView(a.view) : null, image: a.image ?? null, created: a.created ?? new Date().toISOString()
+    };
+}
+
+/**
+ * The annotations of one dataset. ids are positive integers, unique within the set.
+ */
+export class AnnotationSet {
+    constructor(annotations = [], options = {}) {
+        this.guid = options.guid ?? null;
+        this.items = [];
+        for (const a of annotations) this.add(a);
+    }
+
+    static fromJSON(json) {
+        const o = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!Array.isArray(o.annotations)) throw new Error('Annotation JSON has no annotations array');
+        if (o.version > ANNOTATIONS_VERSION) throw new Error(`Annotation version ${o.version} is newer than supported (${ANNOTATIONS_VERSION})`);
+        return new AnnotationSet(o.annotations, { guid: o.guid });
+    }
+
+    /**
+     * The sidecar next to meta.lcc (source as in lcc-sources.js), or null when
+     * there is none or it belongs to another dataset
+     */
+    static async read(source, guid) {
+        let buffer;
+        try {
+            buffer = await source.read(AnnotationSet.sidecarName(guid));
+        } catch (e) {
+            return null;
+        }
+        const set = AnnotationSet.fromJSON(new TextDecoder().decode(buffer));
+        return set.guid === guid ? set : null;
+    }
+
+    static sidecarName(guid) {
+        return `${guid ?? 'scan'}.annotations.json`;
+    }
+
+    toJSON() {
+        return { version: ANNOTATIONS_VERSION, guid: this.guid, annotations: this.items };
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    get(id) {
+        return this.items.find(a => a.id === id) ?? null;
+    }
+
+    // Keeps a.id when it is free, else takes the next one
+    add(a) {
+        const taken = Number.isInteger(a.id) && a.id > 0 && !this.get(a.id) ? a.id : null;
+        const annotation = toAnnotation(a, taken ?? this.items.reduce((max, b) => Math.max(max, b.id), 0) + 1);
+        this.items.push(annotation);
+        return annotation;
+    }
+
+    update(id, changes) {
+        const i = this.items.findIndex(a => a.id === id);
+        if (i < 0) throw new Error(`No annotation ${id}`);
+        this.items[i] = toAnnotation({ ...this.items[i], ...changes }, id);
+        return this.items[i];
+    }
+
+    remove(id) {
+        const i = this.items.findIndex(a => a.id === id);
+        if (i >= 0) this.items.splice(i, 1);
+        return i >= 0;
+    }
+
+    clear() {
+        this.items.length = 0;
+    }
+}
+
+/**
+ * Screen position of LCC point `position` as the splats would draw it: matrix
+ * takes LCC to world (the splat mesh's matrixWorld). { x, y } in pixels of a
+ * width x height canvas plus the view distance, or null when the point is
+ * behind the camera, outside the view or beyond cullRadius (0 = no limit).
+ */
+export function projectAnnotation(position, matrix, camera, width, height, cullRadius = 0) {
+    _p.fromArray(position).applyMatrix4(matrix).applyMatrix4(camera.matrixWorldInverse);
+    const distance = _p.length();
+    if (_p.z > -camera.near || (cullRadius > 0 && distance > cullRadius)) return null;
+    _p.applyMatrix4(camera.projectionMatrix);
+    if (Math.abs(_p.x) > 1 || Math.abs(_p.y) > 1) return null;
+    return { x: (_p.x + 1) / 2 * width, y: (1 - _p.y) / 2 * height, distance };
+}
+
+/**
+ * AnnotationSet as HTML labels in `container` (positioned over the canvas).
+ * Call update() every frame, and refresh() after the set changes. Each label
+ * is a `.annotation` element with the kind as a class, the label text and a
+ * thumbnail of the image if any; clicking it calls onSelect(annotation, event).
+ */
+export class AnnotationOverlay {
+    constructor(container, annotations, options = {}) {
+        this.container = container;
+        this.annotations = annotations;
+        this.onSelect = options.onSelect ?? null;
+        this.labels = new Map(); // id -> element
+        this.refresh();
+    }
+
+    setAnnotations(annotations) {
+        this.annotations = annotations;
+        this.refresh();
+    }
+
+    refresh() {
+        for (const el of this.labels.values()) el.remove();
+        this.labels.clear();
+        for (const a of this.annotations.items) {
+            const el = document.createElement('div');
+            el.className = `annotation ${a.kind}`;
+            el.textContent = a.label || a.kind;
+            if (a.image) el.prepend(Object.assign(document.createElement('img'), { src: a.image, alt: '' }));
+            el.title = [a.label, a.text].filter(Boolean).join('\n');
+            Object.assign(el.style, { position: 'absolute', left: '0', top: '0', display: 'none' });
+            el.onclick = e => { e.stopPropagation(); this.onSelect?.(a, e); };
+            this.container.append(el);
+            this.labels.set(a.id, el);
+        }
+    }
+
+    // matrix: LCC -> world, as for projectAnnotation()
+    update(camera, matrix, { cullRadius = 0 } = {}) {
+        const width = this.container.clientWidth, height = this.container.clientHeight;
+        for (const a of this.annotations.items) {
+            const el = this.labels.get(a.id);
+            if (!el) continue;
+            const p = projectAnnotation(a.position, matrix, camera, width, height, cullRadius);
+            el.style.display = p ? '' : 'none';
+            // Bottom center of the label on the point
+            if (p) el.style.transform = `translate(${p.x.toFixed(1)}px, ${p.y.toFixed(1)}px) translate(-50%, -100%)`;
+        }
+    }
+
+    dispose() {
+        for (const el of this.labels.values()) el.remove();
+        this.labels.clear();
+    }
+}
@@ -0,0 +1,371 @@
+/**
+ * LCC Chunk Cache
+ * Persistent IndexedDB cache of what a source fetched: meta.lcc, index.bin and
+ * byte ranges of data.bin / shcoef.bin / ..., keyed by dataset and range and
+ * evicted least-recently-used under a byte quota. LCCLoader wraps its source in
+ * a CachedSource when given options.cache; prefetch() makes a scan available offline.
+ */
+
+const DB_VERSION = 1;
+const BYTES_PER_SPLAT = 32;
+const BYTES_PER_SH = 64;
+const OPTIONAL_FILES = ['environment.bin', 'collision.lci'];
+
+const request = r => new Promise((resolve, reject) => {
+    r.onsuccess = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+});
+const done = tx => new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error);
+});
+const bufferStream = buffer => new Blob([buffer]).stream();
+const notKept = (name, start, end) => new Error(`${name}${start === undefined ? '' : ` ${start}-${end}`} could not be kept in the cache (full, or storage failed)`);
+
+// FNV-1a of meta.lcc, to tell re-exports at the same URL apart when there is no guid
+function hashText(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    return (h >>> 0).toString(16);
+}
+
+export class LCCCache {
+    /**
+     * options.maxBytes: quota for everything stored (default 1GB)
+     * options.name: IndexedDB database name
+     * options.indexedDB: IDBFactory, default globalThis.indexedDB
+     */
+    constructor(options = {}) {
+        this.name = options.name ?? 'lcc-cache';
+        this.maxBytes = options.maxBytes ?? 1024 * 1048576;
+        this.indexedDB = options.indexedDB ?? globalThis.indexedDB;
+        this.db = null;
+        this.entries = new Map(); // key -> { key, dataset, name, start, end, bytes, used, pinned }, see put()
+        this.bytesStored = 0;
+        this.writes = Promise.resolve();
+        this.stats = { hits: 0, misses: 0, bytesFromCache: 0, bytesFromNetwork: 0, evictions: 0, errors: 0 };
+    }
+
+    // Opens the database and loads the entry table; safe to call more than once
+    async open() {
+        if (this.db) return this;
+        this.opening ??= (async () => {
+            if (!this.indexedDB) throw new Error('IndexedDB is not available');
+            const open = this.indexedDB.open(this.name, DB_VERSION);
+            open.onupgradeneeded = () => {
+                // Entries are small and rewritten on every hit; the bytes live apart
+                open.result.createObjectStore('entries', { keyPath: 'key' });
+                open.result.createObjectStore('blobs');
+            };
+            const db = await request(open);
+            const entries = await request(db.transaction('entries').objectStore('entries').getAll());
+            for (const e of entries) {
+                this.entries.set(e.key, e);
+                this.bytesStored += e.bytes;
+            }
+            this.db = db;
+            return this;
+        })();
+        return this.opening;
+    }
+
+    key(dataset, name, start, end) {
+        return `${dataset}|${name.toLowerCase()}|${start === undefined ? '*' : `${start}-${end}`}`;
+    }
+
+    // Cached bytes or null; a hit refreshes the entry's LRU time. Like put(), never
+    // throws: without a usable database every lookup is a miss.
+    async get(dataset, name, start, end) {
+        try {
+            await this.open();
+            const entry = this.entries.get(this.key(dataset, name, start, end));
+            const tx = entry && this.db.transaction(['entries', 'blobs'], 'readwrite');
+            const data = entry ? await request(tx.objectStore('blobs').get(entry.key)) : null;
+            if (!data) {
+                this.stats.misses++;
+                return null;
+            }
+            entry.used = Date.now();
+            tx.objectStore('entries').put(entry);
+            await done(tx);
+            this.stats.hits++;
+            this.stats.bytesFromCache += data.byteLength;
+            return data;
+        } catch (e) {
+            this.stats.errors++;
+            return null;
+        }
+    }
+
+    // Store bytes, evicting unpinned entries first if the quota needs it. Returns
+    // false (and stores nothing) when they can't fit; never throws. Writes run one
+    // at a time so concurrent cell loads can't overshoot the quota together.
+    // options.pinned: exempt from eviction; options.group: the dataset the entry
+    // counts toward in clear() / unpin() / getStats() (default `dataset`)
+    put(dataset, name, start, end, data, options = {}) {
+        const job = this.writes.then(() => this.write(dataset, name, start, end, data, options));
+        this.writes = job;
+        return job;
+    }
+
+    async write(dataset, name, start, end, data, { pinned = false, group = dataset }) {
+        try {
+            await this.open();
+            const key = this.key(dataset, name, start, end);
+            const old = this.entries.get(key);
+            const bytes = data.byteLength;
+            if (!(await this.makeRoom(bytes - (old?.bytes ?? 0), key))) return false;
+
+            const entry = { key, dataset: group, name: name.toLowerCase(), start: start ?? null, end: end ?? null, bytes, used: Date.now(), pinned: pinned || !!old?.pinned };
+            const tx = this.db.transaction(['entries', 'blobs'], 'readwrite');
+            tx.objectStore('blobs').put(data, key);
+            tx.objectStore('entries').put(entry);
+            await done(tx);
+            this.bytesStored += bytes - (old?.bytes ?? 0);
+            this.entries.set(key, entry);
+            return true;
+        } catch (e) {
+            this.stats.errors++; // a full disk or private mode must not break loading
+            return false;
+        }
+    }
+
+    // Evict least recently used, unpinned entries until `bytes` more fit
+    async makeRoom(bytes, keep) {
+        if (this.bytesStored + bytes <= this.maxBytes) return true;
+        const victims = [];
+        let freed = 0;
+        const lru = [...this.entries.values()].filter(e => !e.pinned && e.key !== keep).sort((a, b) => a.used - b.used);
+        for (const e of lru) {
+            if (this.bytesStored - freed + bytes <= this.maxBytes) break;
+            victims.push(e);
+            freed += e.bytes;
+        }
+        if (this.bytesStored - freed + bytes > this.maxBytes) return false;
+        await this.delete(victims);
+        this.stats.evictions += victims.length;
+        return true;
+    }
+
+    async delete(entries) {
+        if (!entries.length) return;
+        const tx = this.db.transaction(['entries', 'blobs'], 'readwrite');
+        for (const e of entries) {
+            tx.objectStore('entries').delete(e.key);
+            tx.objectStore('blobs').delete(e.key);
+        }
+        await done(tx);
+        for (const e of entries) {
+            this.entries.delete(e.key);
+            this.bytesStored -= e.bytes;
+        }
+    }
+
+    // Drop one dataset's entries (a CachedSource's `dataset`), or everything
+    async clear(dataset = null) {
+        await this.open();
+        await this.delete([...this.entries.values()].filter(e => dataset === null || e.dataset === dataset));
+    }
+
+    // Exempt a stored entry from eviction (prefetch); false if it isn't stored
+    async pin(dataset, name, start, end) {
+        const entry = this.entries.get(this.key(dataset, name, start, end));
+        if (!entry) return false;
+        if (entry.pinned) return true;
+        entry.pinned = true;
+        const tx = this.db.transaction('entries', 'readwrite');
+        tx.objectStore('entries').put(entry);
+        await done(tx);
+        return true;
+    }
+
+    // Let pinned entries of a dataset be evicted again
+    async unpin(dataset) {
+        await this.open();
+        const pinned = [...this.entries.values()].filter(e => e.dataset === dataset && e.pinned);
+        if (!pinned.length) return;
+        const tx = this.db.transaction('entries', 'readwrite');
+        for (const e of pinned) {
+            e.pinned = false;
+            tx.objectStore('entries').put(e);
+        }
+        await done(tx);
+    }
+
+    getStats(dataset = null) {
+        let entries = 0, bytesStored = 0, bytesPinned = 0;
+        for (const e of this.entries.values()) {
+            if (dataset !== null && e.dataset !== dataset) continue;
+            entries++;
+            bytesStored += e.bytes;
+            if (e.pinned) bytesPinned += e.bytes;
+        }
+        const lookups = this.stats.hits + this.stats.misses;
+        return { ...this.stats, hitRate: lookups ? this.stats.hits / lookups : 0, entries, bytesStored, bytesPinned, maxBytes: this.maxBytes };
+    }
+
+    wrap(source) {
+        return source instanceof CachedSource ? source : new CachedSource(source, this);
+    }
+
+    /**
+     * Make a scan available offline: fetch and pin every data.bin range (and the
+     * matching shcoef.bin rows of Quality scans) that loadCell() would read for
+     * the chosen LODs and cells, plus environment.bin / collision.lci if present.
+     * loader: an LCCLoader created with this cache, after loadMeta() + loadIndex().
+     * options.lods: LOD levels (default all), options.cells: [{ x, y }] (default all),
+     * options.onProgress(bytesDone, bytesTotal). Resolves to { bytes, ranges };
+     * rejects naming the first range that could not be stored and pinned.
+     */
+    async prefetch(loader, options = {}) {
+        const source = loader.source;
+        if (!(source instanceof CachedSource) || source.cache !== this) throw new Error('prefetch() needs an LCCLoader created with this cache');
+        const onProgress = options.onProgress ?? (() => {});
+        const quality = loader.meta.fileType === 'Quality';
+        const wanted = options.cells ? new Set(options.cells.map(c => `${c.x},${c.y}`)) : null;
+        const cells = (await loader.loadIndex()).filter(c => !wanted || wanted.has(`${c.x},${c.y}`));
+        const lods = options.lods ?? loader.meta.splats.map((_, l) => l);
+
+        const ranges = [];
+        for (const cell of cells) {
+            for (const lod of lods) {
+                const node = cell.lods[lod];
+                if (!node?.count) continue;
+                ranges.push(['data.bin', node.offset, node.offset + node.size]);
+                if (quality) {
+                    const scale = BYTES_PER_SH / BYTES_PER_SPLAT;
+                    ranges.push(['shcoef.bin', node.offset * scale, (node.offset + node.size) * scale]);
+                }
+            }
+        }
+        // ranges pinned by an earlier run are already in bytesPinned
+        const pinned = ([name, start, end]) => this.entries.get(this.key(source.dataset, name, start, end))?.pinned;
+        const total = ranges.reduce((sum, r) => sum + (pinned(r) ? 0 : r[2] - r[1]), 0);
+        const room = this.maxBytes - this.getStats().bytesPinned;
+        if (total > room) throw new Error(`Offline copy needs ${(total / 1048576).toFixed(1)}MB, the cache has ${(room / 1048576).toFixed(1)}MB left for it`);
+
+        let bytes = 0;
+        onProgress(0, total);
+        for (const r of ranges) {
+            const [name, start, end] = r;
+            if (pinned(r)) continue;
+            await source.fetchRange(name, start, end, true);
+            bytes += end - start;
+            onProgress(bytes, total);
+        }
+        for (const name of OPTIONAL_FILES) {
+            const data = await source.read(name).catch(() => null); // absent from most scans
+            if (data) await source.fetchFile(name, true);
+        }
+        await source.fetchFile('index.bin', true);
+        if (!(await this.pin(source.metaKey, source.metaName))) throw notKept(source.metaName);
+        return { bytes, ranges: ranges.length };
+    }
+}
+
+/**
+ * A source whose reads go through an LCCCache. meta.lcc is network-first (so a
+ * re-export is noticed) and falls back to the cached copy offline; everything
+ * else is cache-first under the dataset key, the meta's guid or else URL + meta hash.
+ * size() always asks the wrapped source.
+ */
+export class CachedSource {
+    constructor(source, cache) {
+        this.source = source;
+        this.cache = cache;
+        this.metaName = source.metaName;
+        this.id = source.id;
+        this.metaKey = `meta:${source.id}`;
+        this.dataset = null; // set once meta.lcc is read
+    }
+
+    async size(name) {
+        return this.source.size(name);
+    }
+
+    async read(name) {
+        if (name === this.metaName) return this.readMeta();
+        return this.fetchFile(name, false);
+    }
+
+    async readRange(name, start, end) {
+        if (end <= start) return new ArrayBuffer(0);
+        return this.fetchRange(name, start, end, false);
+    }
+
+    // Cache hit: the stored bytes. Miss: the wrapped stream, stored once it completes
+    async stream(name, start, end) {
+        const hit = end > start ? await this.cache.get(this.datasetKey(), name, start, end) : null;
+        if (hit) return bufferStream(hit);
+        const inner = this.source.stream ? await this.source.stream(name, start, end) : bufferStream(await this.source.readRange(name, start, end));
+        const parts = [];
+        let received = 0;
+        return inner.pipeThrough(new TransformStream({
+            transform: (chunk, controller) => {
+                parts.push(chunk);
+                received += chunk.length;
+                controller.enqueue(chunk);
+            },
+            flush: () => {
+                if (received !== end - start) return;
+                const data = new Uint8Array(received);
+                let at = 0;
+                for (const p of parts) { data.set(p, at); at += p.length; }
+                this.store(name, start, end, data.buffer, false);
+            }
+        }));
+    }
+
+    async readMeta() {
+        let data, online = true;
+        try {
+            data = await this.source.read(this.metaName);
+        } catch (e) {
+            data = await this.cache.get(this.metaKey, this.metaName);
+            if (!data) throw e;
+            online = false;
+        }
+        const text = new TextDecoder().decode(data);
+        let guid = null;
+        try { guid = JSON.parse(text).guid ?? null; } catch (e) { /* LCCLoader reports bad JSON */ }
+        this.dataset = guid ? `guid:${guid}` : `${this.source.id}#${hashText(text)}`;
+        if (online) this.store(undefined, undefined, undefined, data, false);
+        return data;
+    }
+
+    // pinned (prefetch): throws if the bytes could not be stored and pinned
+    async fetchFile(name, pinned) {
+        const hit = await this.cache.get(this.datasetKey(), name);
+        if (hit) {
+            if (pinned && !(await this.cache.pin(this.datasetKey(), name))) throw notKept(name);
+            return hit;
+        }
+        const data = await this.source.read(name);
+        if (!(await this.store(name, undefined, undefined, data, pinned)) && pinned) throw notKept(name);
+        return data;
+    }
+
+    async fetchRange(name, start, end, pinned) {
+        const hit = await this.cache.get(this.datasetKey(), name, start, end);
+        if (hit) {
+            if (pinned && !(await this.cache.pin(this.datasetKey(), name, start, end))) throw notKept(name, start, end);
+            return hit;
+        }
+        const data = await this.source.readRange(name, start, end);
+        if (!(await this.store(name, start, end, data, pinned)) && pinned) throw notKept(name, start, end);
+        return data;
+    }
+
+    // name undefined: meta.lcc, stored under metaKey (per URL) but counted with the dataset
+    store(name, start, end, data, pinned) {
+        this.cache.stats.bytesFromNetwork += data.byteLength;
+        return name === undefined
+            ? this.cache.put(this.metaKey, this.metaName, undefined, undefined, data, { group: this.dataset })
+            : this.cache.put(this.datasetKey(), name, start, end, data, { pinned });
+    }
+
+    datasetKey() {
+        if (!this.dataset) throw new Error('CachedSource: read meta.lcc first');
+        return this.dataset;
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * LCC Clipping
+ * Oriented clip boxes and clip planes in LCC coordinates. The same volumes
+ * drive the splat shader, the sort worker and export / re-encode filters.
+ */
+
+export const MAX_CLIP_BOXES = 8;   // shader uniform array sizes
+export const MAX_CLIP_PLANES = 8;
+
+/**
+ * Volumes:
+ *   { type: 'box', center: [x,y,z], size: [sx,sy,sz], rotation: [x,y,z,w], mode }
+ *   { type: 'plane', point: [x,y,z], normal: [x,y,z], mode }
+ * mode is 'include' or 'exclude'. A splat is kept when it is inside at least
+ * one include box (if there are any), inside no exclude box, and on the kept
+ * side of every plane: the normal side for 'include', the other for 'exclude'.
+ * Planes always intersect, so two facing planes make a section slab.
+ */
+export class ClipVolumes {
+    constructor(volumes = []) {
+        this.volumes = [];
+        this.packed = null;
+        volumes.forEach(v => this.add(v));
+    }
+
+    static fromJSON(json) {
+        return new ClipVolumes((typeof json === 'string' ? JSON.parse(json) : json).volumes ?? []);
+    }
+
+    toJSON() {
+        return { volumes: this.volumes };
+    }
+
+    get size() {
+        return this.volumes.length;
+    }
+
+    add(volume) {
+        if (volume.type !== 'box' && volume.type !== 'plane') throw new Error(`Unknown clip volume type "${volume.type}"`);
+        if (volume.mode !== 'include' && volume.mode !== 'exclude') throw new Error(`Unknown clip mode "${volume.mode}"`);
+        const v = volume.type === 'box'
+            ? { type: 'box', center: [...volume.center], size: [...volume.size], rotation: [...(volume.rotation ?? [0, 0, 0, 1])], mode: volume.mode }
+            : { type: 'plane', point: [...volume.point], normal: [...volume.normal], mode: volume.mode };
+        this.volumes.push(v);
+        this.packed = null;
+        return v;
+    }
+
+    // Replace a volume's fields (e.g. while a gizmo drags it)
+    update(volume, fields) {
+        Object.assign(volume, fields);
+        this.packed = null;
+    }
+
+    remove(volume) {
+        this.volumes = this.volumes.filter(v => v !== volume);
+        this.packed = null;
+    }
+
+    clear() {
+        this.volumes = [];
+        this.packed = null;
+    }
+
+    /**
+     * Flat form shared by the shader uniforms, the sort worker and clipKeep():
+     * boxes: column-major mat4 per box taking LCC to the box's [-1, 1] cube,
+     * boxExclude: 1 per exclude box, planes: (normal, d) with kept side n.p + d >= 0.
+     */
+    pack() {
+        if (this.packed) return this.packed;
+        const boxes = this.volumes.filter(v => v.type === 'box');
+        const planes = this.volumes.filter(v => v.type === 'plane');
+        this.packed = {
+            boxCount: boxes.length,
+            includeCount: boxes.filter(b => b.mode === 'include').length,
+            boxes: new Float32Array(boxes.length * 16),
+            boxExclude: new Int32Array(boxes.map(b => (b.mode === 'exclude' ? 1 : 0))),
+            planeCount: planes.length,
+            planes: new Float32Array(planes.length * 4)
+        };
+        boxes.forEach((b, i) => this.packed.boxes.set(boxToUnit(b), i * 16));
+        planes.forEach((p, i) => {
+            const len = Math.hypot(...p.normal) || 1;
+            const s = (p.mode === 'exclude' ? -1 : 1) / len;
+            const n = p.normal.map(v => v * s);
+            this.packed.planes.set([...n, -(n[0] * p.point[0] + n[1] * p.point[1] + n[2] * p.point[2])], i * 4);
+        });
+        return this.packed;
+    }
+
+    contains(x, y, z) {
+        return clipKeep(this.pack(), x, y, z);
+    }
+
+    // Copy of the first `count` decoded splats (LCCLoader shape) without the clipped ones
+    filter(data, count = data.opacities.length) {
+        const clip = this.pack();
+        const keep = [];
+        for (let i = 0; i < count; i++) {
+            if (clipKeep(clip, data.positions[i * 3], data.positions[i * 3 + 1], data.positions[i * 3 + 2])) keep.push(i);
+        }
+        const out = { ...data, splatCount: keep.length };
+        for (const [key, dims] of [['positions', 3], ['colors', 3], ['opacities', 1], ['scales', 3], ['rotations', 4], ['normals', 3], ['cov3Ds', 6], ['sphericalHarmonics', 45]]) {
+            const src = data[key];
+            if (!src) continue;
+            const dst = new Float32Array(keep.length * dims);
+            keep.forEach((i, k) => dst.set(src.subarray(i * dims, i * dims + dims), k * dims));
+            out[key] = dst;
+        }
+        return out;
+    }
+}
+
+/**
+ * Whether a point survives the packed volumes. Self-contained: the renderer's
+ * sort worker embeds its source.
+ */
+export function clipKeep(clip, x, y, z) {
+    const P = clip.planes;
+    for (let i = 0; i < clip.planeCount; i++) {
+        if (P[i * 4] * x + P[i * 4 + 1] * y + P[i * 4 + 2] * z + P[i * 4 + 3] < 0) return false;
+    }
+    let included = clip.includeCount === 0;
+    const B = clip.boxes;
+    for (let i = 0; i < clip.boxCount; i++) {
+        const m = i * 16;
+        const u = B[m] * x + B[m + 4] * y + B[m + 8] * z + B[m + 12];
+        const v = B[m + 1] * x + B[m + 5] * y + B[m + 9] * z + B[m + 13];
+        const w = B[m + 2] * x + B[m + 6] * y + B[m + 10] * z + B[m + 14];
+        const inside = Math.abs(u) <= 1 && Math.abs(v) <= 1 && Math.abs(w) <= 1;
+        if (!inside) continue;
+        if (clip.boxExclude[i]) return false;
+        included = true;
+    }
+    return included;
+}
+
+// LCC -> unit cube of a box: scale(2 / size) * R^T * translate(-center), column-major
+function boxToUnit({ center, size, rotation }) {
+    const [x, y, z, w] = rotation;
+    const len = Math.hypot(x, y, z, w) || 1;
+    const qx = x / len, qy = y / len, qz = z / len, qw = w / len;
+    // Rotation matrix rows r0..r2 (R), R^T rows are R's columns
+    const R = [
+        1 - 2 * (qy * qy + qz * qz), 2 * (qx * qy - qw * qz), 2 * (qx * qz + qw * qy),
+        2 * (qx * qy + qw * qz), 1 - 2 * (qx * qx + qz * qz), 2 * (qy * qz - qw * qx),
+        2 * (qx * qz - qw * qy), 2 * (qy * qz + qw * qx), 1 - 2 * (qx * qx + qy * qy)
+    ];
+    const m = new Array(16).fill(0);
+    for (let r = 0; r < 3; r++) {
+        const s = 2 / (size[r] || 1e-9);
+        // row r of the result = s * (column r of R)
+        for (let c = 0; c < 3; c++) m[c * 4 + r] = s * R[c * 3 + r];
+        m[12 + r] = -(m[r] * center[0] + m[4 + r] * center[1] + m[8 + r] * center[2]);
+    }
+    m[15] = 1;
+    return m;
+}
@@ -0,0 +1,302 @@
+/**
+ * LCC Collision
+ * Collision.lci meshes as a Three.js BufferGeometry with BVH queries
+ * (raycast, sphere push-out) and a ground-following walk controller
+ */
+
+import * as THREE from 'three';
+
+const NODE_WORDS = 8;       // 32-byte BVH nodes
+const LEAF_FLAG = 0xFFFF;
+const MAX_LEAF_FACES = 8;   // for BVHs built here (version 1 files ship none)
+
+// Scratch
+const _a = new THREE.Vector3(), _b = new THREE.Vector3(), _c = new THREE.Vector3();
+const _closest = new THREE.Vector3(), _push = new THREE.Vector3(), _tri = new THREE.Triangle();
+const _down = new THREE.Vector3(0, -1, 0), _origin = new THREE.Vector3(), _box = new THREE.Box3();
+
+export class CollisionMesh {
+    // collision: LCCLoader.loadCollision() result. Everything here is world space:
+    // options.matrix (Matrix4, LCC -> world) should match the splat mesh's transform;
+    // the default is the same Z-up -> Y-up rotation, (x,y,z) -> (x,z,-y).
+    constructor(collision, options = {}) {
+        const matrix = options.matrix ?? new THREE.Matrix4().makeRotationX(-Math.PI / 2);
+        this.meshes = collision.meshes.filter(m => m.indices.length).map(m => prepareMesh(m, matrix));
+
+        // One geometry for display; queries go through the per-mesh BVHs
+        const vertexCount = this.meshes.reduce((n, m) => n + m.positions.length / 3, 0);
+        const positions = new Float32Array(vertexCount * 3);
+        const index = new Uint32Array(this.meshes.reduce((n, m) => n + m.indices.length, 0));
+        let v = 0, f = 0;
+        for (const m of this.meshes) {
+            positions.set(m.positions, v * 3);
+            for (let i = 0; i < m.indices.length; i++) index[f + i] = m.indices[i] + v;
+            v += m.positions.length / 3;
+            f += m.indices.length;
+        }
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        this.geometry.setIndex(new THREE.BufferAttribute(index, 1));
+        this.geometry.computeBoundingBox();
+        this.geometry.computeBoundingSphere();
+        this.wireframe = null;
+    }
+
+    // Debug view of the collision surface
+    createWireframe(color = 0x44ff88) {
+        this.wireframe ??= new THREE.Mesh(this.geometry, new THREE.MeshBasicMaterial({
+            color, wireframe: true, transparent: true, opacity: 0.35, depthWrite: false
+        }));
+        return this.wireframe;
+    }
+
+    // Nearest hit along a normalized direction: { distance, point, normal } or null
+    raycast(origin, direction, far = Infinity) {
+        let best = null;
+        const inv = [1 / direction.x, 1 / direction.y, 1 / direction.z];
+        const o = [origin.x, origin.y, origin.z], d = [direction.x, direction.y, direction.z];
+        for (const m of this.meshes) {
+            traverse(m, w => rayBox(o, inv, m.bounds, w, far), (first, count) => {
+                for (let t = first; t < first + count; t++) {
+                    const dist = rayTriangle(m, t, o, d, far);
+                    if (dist < far) { far = dist; best = { mesh: m, face: t }; }
+                }
+            });
+        }
+        if (!best) return null;
+
+        triangle(best.mesh, best.face, _a, _b, _c);
+        const normal = new THREE.Vector3().subVectors(_c, _b).cross(_a.sub(_b)).normalize();
+        if (normal.dot(direction) > 0) normal.negate();
+        return { distance: far, point: origin.clone().addScaledVector(direction, far), normal };
+    }
+
+    // Moves center out of every triangle closer than radius. Returns false when nothing was touched.
+    collideSphere(center, radius, horizontal = false) {
+        let hit = false;
+        const box = [center.x - radius, center.y - radius, center.z - radius, center.x + radius, center.y + radius, center.z + radius];
+        for (const m of this.meshes) {
+            traverse(m, w => boxBox(box, m.bounds, w), (first, count) => {
+                for (let t = first; t < first + count; t++) {
+                    triangle(m, t, _tri.a, _tri.b, _tri.c);
+                    _tri.closestPointToPoint(center, _closest);
+                    _push.subVectors(center, _closest);
+                    const dist = _push.length();
+                    if (dist >= radius) continue;
+                    // Dead center on the surface: push along the face normal
+                    if (dist < 1e-6) _tri.getNormal(_push);
+                    // Walking only slides sideways; floors and ceilings are left to the ground ray
+                    if (horizontal) _push.y = 0;
+                    if (_push.lengthSq() < 1e-12) continue;
+                    center.addScaledVector(_push.normalize(), radius - dist);
+                    hit = true;
+                }
+            });
+        }
+        return hit;
+    }
+
+    dispose() {
+        this.geometry.dispose();
+        this.wireframe?.material.dispose();
+    }
+}
+
+/**
+ * First-person walking on a CollisionMesh: gravity, a fixed eye height,
+ * stepping up ledges below stepHeight and sliding along walls.
+ */
+export class WalkController {
+    constructor(collision, options = {}) {
+        this.collision = collision;
+        this.eyeHeight = options.eyeHeight ?? 1.6;
+        this.radius = options.radius ?? 0.25;     // body radius against walls
+        this.stepHeight = options.stepHeight ?? 0.35;
+        this.gravity = options.gravity ?? 9.81;
+        this.maxDrop = options.maxDrop ?? 1000;   // no floor within this: hover instead of falling forever
+        this.velocityY = 0;
+        this.onGround = false;
+        this.body = new THREE.Vector3();
+    }
+
+    // eye: camera position, updated in place. dx/dz: the horizontal move for this frame.
+    move(eye, dx, dz, dt) {
+        let feet = eye.y - this.eyeHeight;
+
+        // Horizontal: sub-steps of half the radius, so the body never reaches a wall's far side
+        const steps = Math.max(1, Math.ceil(Math.hypot(dx, dz) / (this.radius / 2)));
+        const low = this.stepHeight + this.radius, high = Math.max(low, this.eyeHeight - this.radius);
+        for (let s = 0; s < steps; s++) {
+            eye.x += dx / steps;
+            eye.z += dz / steps;
+            for (const h of low === high ? [low] : [low, high]) {
+                // Body spheres start above stepHeight, so low ledges don't block (they're stepped onto)
+                this.body.set(eye.x, feet + h, eye.z);
+                for (let i = 0; i < 3 && this.collision.collideSphere(this.body, this.radius, true); i++);
+                eye.x = this.body.x;
+                eye.z = this.body.z;
+            }
+        }
+
+        // Vertical: floor under the lower body sphere
+        _origin.set(eye.x, feet + low, eye.z);
+        const hit = this.collision.raycast(_origin, _down, this.maxDrop);
+        const ground = hit ? hit.point.y : -Infinity;
+
+        if (!hit) {
+            this.velocityY = 0;
+            this.onGround = false;
+        } else if (this.onGround && ground >= feet - this.stepHeight) {
+            if (ground <= feet + this.stepHeight) feet = ground; // step up stairs, follow them down
+            this.velocityY = 0;
+        } else {
+            this.velocityY -= this.gravity * dt;
+            feet += this.velocityY * dt;
+            this.onGround = feet <= ground;
+            if (this.onGround) { feet = ground; this.velocityY = 0; }
+        }
+        eye.y = feet + this.eyeHeight;
+    }
+}
+
+// LCC -> world, with a BVH whose bounds are transformed too (or built when missing)
+function prepareMesh(mesh, matrix) {
+    const positions = new Float32Array(mesh.positions);
+    new THREE.BufferAttribute(positions, 3).applyMatrix4(matrix);
+    let indices = mesh.indices, bvh = mesh.bvh;
+    if (!bvh) ({ bvh, indices } = buildBVH(positions, indices));
+    else {
+        // World box around each node's transformed corners
+        const bounds = new Float32Array(bvh.slice(0));
+        for (let n = 0; n < bounds.length; n += NODE_WORDS) {
+            _box.min.fromArray(bounds, n);
+            _box.max.fromArray(bounds, n + 3);
+            _box.applyMatrix4(matrix);
+            _box.min.toArray(bounds, n);
+            _box.max.toArray(bounds, n + 3);
+        }
+        bvh = bounds.buffer;
+    }
+    return { positions, indices, bounds: new Float32Array(bvh), words: new Uint32Array(bvh), halves: new Uint16Array(bvh) };
+}
+
+// Preorder walk: visit(offset of the node's bounds) decides whether to descend, leaf(first face, count)
+function traverse(m, visit, leaf) {
+    const stack = [0];
+    const nodes = m.bounds.length / NODE_WORDS;
+    while (stack.length) {
+        const n = stack.pop();
+        if (n >= nodes) continue;
+        const w = n * NODE_WORDS;
+        if (!visit(w)) continue;
+        if (m.halves[w * 2 + 15] === LEAF_FLAG) leaf(m.words[w + 6], m.halves[w * 2 + 14]);
+        else stack.push(m.words[w + 6] / NODE_WORDS, n + 1);
+    }
+}
+
+function triangle(m, t, a, b, c) {
+    const p = m.positions, i = m.indices;
+    a.fromArray(p, i[t * 3] * 3);
+    b.fromArray(p, i[t * 3 + 1] * 3);
+    c.fromArray(p, i[t * 3 + 2] * 3);
+}
+
+// Slab test against [minx, miny, minz, maxx, maxy, maxz]
+function rayBox(o, inv, b, w, far) {
+    let near = 0;
+    for (let k = 0; k < 3; k++) {
+        let t0 = (b[w + k] - o[k]) * inv[k], t1 = (b[w + k + 3] - o[k]) * inv[k];
+        if (t0 > t1) [t0, t1] = [t1, t0];
+        if (t0 > near) near = t0;
+        if (t1 < far) far = t1;
+        if (near > far) return false;
+    }
+    return true;
+}
+
+const boxBox = (a, b, w) => a[0] <= b[w + 3] && a[3] >= b[w] && a[1] <= b[w + 4] && a[4] >= b[w + 1] && a[2] <= b[w + 5] && a[5] >= b[w + 2];
+
+// Möller-Trumbore, two-sided; Infinity on a miss
+function rayTriangle(m, t, o, d, far) {
+    const p = m.positions, i = m.indices;
+    const a = i[t * 3] * 3, b = i[t * 3 + 1] * 3, c = i[t * 3 + 2] * 3;
+    const e1x = p[b] - p[a], e1y = p[b + 1] - p[a + 1], e1z = p[b + 2] - p[a + 2];
+    const e2x = p[c] - p[a], e2y = p[c + 1] - p[a + 1], e2z = p[c + 2] - p[a + 2];
+    const px = d[1] * e2z - d[2] * e2y, py = d[2] * e2x - d[0] * e2z, pz = d[0] * e2y - d[1] * e2x;
+    const det = e1x * px + e1y * py + e1z * pz;
+    if (Math.abs(det) < 1e-12) return Infinity;
+    const inv = 1 / det;
+    const tx = o[0] - p[a], ty = o[1] - p[a + 1], tz = o[2] - p[a + 2];
+    const u = (tx * px + ty * py + tz * pz) * inv;
+    if (u < 0 || u > 1) return Infinity;
+    const qx = ty * e1z - tz * e1y, qy = tz * e1x - tx * e1z, qz = tx * e1y - ty * e1x;
+    const v = (d[0] * qx + d[1] * qy + d[2] * qz) * inv;
+    if (v < 0 || u + v > 1) return Infinity;
+    const dist = (e2x * qx + e2y * qy + e2z * qz) * inv;
+    return dist >= 0 && dist < far ? dist : Infinity;
+}
+
+// Median split on the longest centroid axis, in the Collision.lci node layout.
+// Faces are reordered so every leaf covers a contiguous run.
+function buildBVH(positions, indices) {
+    const faces = indices.length / 3;
+    const order = Array.from({ length: faces }, (_, f) => f);
+    const centroid = new Float32Array(faces * 3);
+    const fb = new Float32Array(faces * 6); // per-face bounds
+    for (let f = 0; f < faces; f++) {
+        for (let k = 0; k < 3; k++) {
+            const a = positions[indices[f * 3] * 3 + k], b = positions[indices[f * 3 + 1] * 3 + k], c = positions[indices[f * 3 + 2] * 3 + k];
+            fb[f * 6 + k] = Math.min(a, b, c);
+            fb[f * 6 + 3 + k] = Math.max(a, b, c);
+            centroid[f * 3 + k] = (a + b + c) / 3;
+        }
+    }
+
+    const nodes = [];
+    const build = (start, end) => {
+        const node = { bounds: [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity] };
+        const cmin = [Infinity, Infinity, Infinity], cmax = [-Infinity, -Infinity, -Infinity];
+        for (let i = start; i < end; i++) {
+            const f = order[i];
+            for (let k = 0; k < 3; k++) {
+                node.bounds[k] = Math.min(node.bounds[k], fb[f * 6 + k]);
+                node.bounds[k + 3] = Math.max(node.bounds[k + 3], fb[f * 6 + 3 + k]);
+                cmin[k] = Math.min(cmin[k], centroid[f * 3 + k]);
+                cmax[k] = Math.max(cmax[k], centroid[f * 3 + k]);
+            }
+        }
+        nodes.push(node);
+        if (end - start <= MAX_LEAF_FACES) {
+            node.leaf = [start, end - start];
+            return;
+        }
+        const axis = [0, 1, 2].reduce((a, k) => (cmax[k] - cmin[k] > cmax[a] - cmin[a] ? k : a), 0);
+        const sorted = order.slice(start, end).sort((a, b) => centroid[a * 3 + axis] - centroid[b * 3 + axis]);
+        order.splice(start, end - start, ...sorted);
+        const mid = (start + end) >> 1;
+        node.axis = axis;
+        build(start, mid);
+        node.right = nodes.length;
+        build(mid, end);
+    };
+    if (faces) build(0, faces);
+
+    const buffer = new ArrayBuffer(nodes.length * NODE_WORDS * 4);
+    const f32 = new Float32Array(buffer), u32 = new Uint32Array(buffer), u16 = new Uint16Array(buffer);
+    nodes.forEach((node, n) => {
+        const w = n * NODE_WORDS;
+        f32.set(node.bounds, w);
+        if (node.leaf) {
+            u32[w + 6] = node.leaf[0];
+            u16[w * 2 + 14] = node.leaf[1];
+            u16[w * 2 + 15] = LEAF_FLAG;
+        } else {
+            u32[w + 6] = node.right * NODE_WORDS;
+            u16[w * 2 + 14] = node.axis;
+        }
+    });
+
+    const reordered = new Uint32Array(indices.length);
+    order.forEach((f, i) => reordered.set(indices.subarray(f * 3, f * 3 + 3), i * 3));
+    return { bvh: buffer, indices: reordered };
+}
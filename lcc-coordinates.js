@@ -0,0 +1,147 @@
+/**
+ * LCC Coordinates
+ * meta.lcc offset / shift / scale / epsg -> object transform, projected and
+ * geographic coordinates (built-in transverse Mercator for UTM EPSG codes)
+ */
+
+// local (meta.lcc, Z-up) -> viewer world (Y-up): (x,y,z) -> (x,z,-y)
+const Z_UP_TO_Y_UP = [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1]; // column-major
+
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const DEG = Math.PI / 180;
+
+/**
+ * Projection for an EPSG code, or null when it isn't built in:
+ * 326zz / 327zz WGS 84 UTM north / south, 258zz ETRS89 UTM, 269zz NAD83 UTM.
+ */
+export function epsgProjection(epsg) {
+    const zone = epsg % 100;
+    const utm = (ellipsoid, south) => ({
+        name: `UTM zone ${zone}${south ? 'S' : 'N'}`, ellipsoid,
+        lon0: (zone * 6 - 183) * DEG, k0: 0.9996, falseEasting: 500000, falseNorthing: south ? 10000000 : 0
+    });
+    if (epsg >= 32601 && epsg <= 32660) return utm(WGS84, false);
+    if (epsg >= 32701 && epsg <= 32760) return utm(WGS84, true);
+    if (epsg >= 25828 && epsg <= 25838) return utm(GRS80, false);
+    if (epsg >= 26901 && epsg <= 26923) return utm(GRS80, false);
+    return null;
+}
+
+export class CoordinateSystem {
+    /**
+     * meta: meta.lcc. The spec lists offset, shift and scale without a formula;
+     * they are read as projected = local * scale + offset + shift.
+     * options.origin: projected point placed at the world origin (default offset + shift),
+     * so world coordinates stay small enough for float32 on the GPU.
+     */
+    constructor(meta = {}, options = {}) {
+        this.offset = meta.offset ?? [0, 0, 0];
+        this.shift = meta.shift ?? [0, 0, 0];
+        this.scale = meta.scale ?? [1, 1, 1];
+        this.epsg = meta.epsg ?? 0;
+        this.projection = epsgProjection(this.epsg);
+        this.origin = options.origin ?? this.offset.map((o, k) => o + this.shift[k]);
+    }
+
+    // Has a CRS we can turn into longitude / latitude
+    get isGeographic() {
+        return this.projection !== null;
+    }
+
+    localToProjected(p) {
+        return [0, 1, 2].map(k => p[k] * this.scale[k] + this.offset[k] + this.shift[k]);
+    }
+
+    projectedToLocal(p) {
+        return [0, 1, 2].map(k => (p[k] - this.offset[k] - this.shift[k]) / this.scale[k]);
+    }
+
+    // local [x, y, z] -> { lon, lat, height } in degrees / metres (height is the projected z)
+    localToGeo(p) {
+        if (!this.projection) throw new Error(`EPSG:${this.epsg} has no built-in projection`);
+        const [e, n, h] = this.localToProjected(p);
+        const [lon, lat] = inverseTM(this.projection, e, n);
+        return { lon, lat, height: h };
+    }
+
+    geoToLocal({ lon, lat, height = 0 }) {
+        if (!this.projection) throw new Error(`EPSG:${this.epsg} has no built-in projection`);
+        const [e, n] = forwardTM(this.projection, lon, lat);
+        return this.projectedToLocal([e, n, height]);
+    }
+
+    // Viewer world (Y-up, relative to origin) <-> local
+    worldToLocal(p) {
+        return this.projectedToLocal([p[0] + this.origin[0], -p[2] + this.origin[1], p[1] + this.origin[2]]);
+    }
+
+    localToWorld(p) {
+        const [x, y, z] = this.localToProjected(p).map((v, k) => v - this.origin[k]);
+        return [x, z, -y];
+    }
+
+    // Column-major 4x4 local -> world (Matrix4.fromArray), for the splat mesh and collision
+    matrix() {
+        const t = [0, 1, 2].map(k => this.offset[k] + this.shift[k] - this.origin[k]);
+        const m = Z_UP_TO_Y_UP.slice();
+        for (let c = 0; c < 3; c++) for (let r = 0; r < 3; r++) m[c * 4 + r] *= this.scale[c];
+        m[12] = t[0]; m[13] = t[2]; m[14] = -t[1];
+        return m;
+    }
+
+    // Column-major 4x4 taking this scan's local coordinates into another scan's
+    // (a CoordinateSystem), through the projected CRS both are assumed to share
+    matrixTo(other) {
+        const m = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+        for (let k = 0; k < 3; k++) {
+            m[k * 5] = this.scale[k] / other.scale[k];
+            m[12 + k] = (this.offset[k] + this.shift[k] - other.offset[k] - other.shift[k]) / other.scale[k];
+        }
+        return m;
+    }
+}
+
+// Krüger series (Karney 2011, to n^4): well below a millimetre inside a UTM zone
+function tmSeries(ellipsoid) {
+    if (ellipsoid.series) return ellipsoid.series;
+    const { a, f } = ellipsoid;
+    const n = f / (2 - f), n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+    ellipsoid.series = {
+        e: Math.sqrt(f * (2 - f)),
+        A: a / (1 + n) * (1 + n2 / 4 + n4 / 64),
+        alpha: [n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180, 13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440, 61 * n3 / 240 - 103 * n4 / 140, 49561 * n4 / 161280],
+        beta: [n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360, n2 / 48 + n3 / 15 - 437 * n4 / 1440, 17 * n3 / 480 - 37 * n4 / 840, 4397 * n4 / 161280],
+        delta: [2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45, 7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45, 56 * n3 / 15 - 136 * n4 / 35, 4279 * n4 / 630]
+    };
+    return ellipsoid.series;
+}
+
+function forwardTM(proj, lonDeg, latDeg) {
+    const { e, A, alpha } = tmSeries(proj.ellipsoid);
+    const phi = latDeg * DEG, dl = lonDeg * DEG - proj.lon0;
+    const s = Math.sin(phi);
+    const t = Math.sinh(Math.atanh(s) - e * Math.atanh(e * s));
+    const xi0 = Math.atan2(t, Math.cos(dl)), eta0 = Math.atanh(Math.sin(dl) / Math.sqrt(1 + t * t));
+    let xi = xi0, eta = eta0;
+    for (let j = 1; j <= 4; j++) {
+        xi += alpha[j - 1] * Math.sin(2 * j * xi0) * Math.cosh(2 * j * eta0);
+        eta += alpha[j - 1] * Math.cos(2 * j * xi0) * Math.sinh(2 * j * eta0);
+    }
+    return [proj.falseEasting + proj.k0 * A * eta, proj.falseNorthing + proj.k0 * A * xi];
+}
+
+function inverseTM(proj, easting, northing) {
+    const { A, beta, delta } = tmSeries(proj.ellipsoid);
+    const xi = (northing - proj.falseNorthing) / (proj.k0 * A), eta = (easting - proj.falseEasting) / (proj.k0 * A);
+    let xi0 = xi, eta0 = eta;
+    for (let j = 1; j <= 4; j++) {
+        xi0 -= beta[j - 1] * Math.sin(2 * j * xi) * Math.cosh(2 * j * eta);
+        eta0 -= beta[j - 1] * Math.cos(2 * j * xi) * Math.sinh(2 * j * eta);
+    }
+    const chi = Math.asin(Math.sin(xi0) / Math.cosh(eta0));
+    let phi = chi;
+    for (let j = 1; j <= 4; j++) phi += delta[j - 1] * Math.sin(2 * j * chi);
+    const lon = proj.lon0 + Math.atan2(Math.sinh(eta0), Math.cos(xi0));
+    return [lon / DEG, phi / DEG];
+}
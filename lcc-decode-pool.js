@@ -0,0 +1,98 @@
+/**
+ * LCC Decode Pool
+ * Decodes data.bin / shcoef.bin chunks on Web Workers (worker_threads in Node)
+ * and hands the typed arrays back as transferables
+ */
+
+const WORKER_URL = new URL('./lcc-decode-worker.js', import.meta.url);
+
+export class DecodePool {
+    // size: worker count, 0 decodes on the calling thread (see LCCLoader)
+    constructor(size = DecodePool.defaultSize()) {
+        this.size = size;
+        this.workers = [];   // { worker, jobs }
+        this.jobs = new Map(); // id -> { resolve, reject, slot }
+        this.nextId = 0;
+        this.starting = null;
+    }
+
+    static defaultSize() {
+        const cores = globalThis.navigator?.hardwareConcurrency ?? 4;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    // Resolves to false when workers are unavailable (no Worker, file:// page, ...)
+    start() {
+        this.starting ??= this.spawn().then(() => this.workers.length > 0, () => false);
+        return this.starting;
+    }
+
+    // Each worker posts { ready: true } once its imports have loaded; ones that fail are dropped
+    async spawn() {
+        const NodeWorker = typeof Worker === 'undefined' ? (await import('node:worker_threads')).Worker : null;
+        const slots = [];
+        for (let i = 0; i < this.size; i++) {
+            const slot = { worker: null, jobs: 0 };
+            slot.ready = new Promise((resolve, reject) => {
+                const onMessage = msg => msg.ready ? resolve() : this.settle(msg);
+                const onError = error => { reject(error); this.fail(slot, error); };
+                if (NodeWorker) {
+                    slot.worker = new NodeWorker(WORKER_URL);
+                    slot.worker.on('message', onMessage).on('error', onError);
+                } else {
+                    slot.worker = new Worker(WORKER_URL, { type: 'module' });
+                    slot.worker.onmessage = e => onMessage(e.data);
+                    slot.worker.onerror = e => { e.preventDefault?.(); onError(new Error(e.message || 'decode worker failed to load')); };
+                }
+            });
+            slots.push(slot);
+        }
+        const started = await Promise.allSettled(slots.map(s => s.ready));
+        this.workers = slots.filter((s, i) => started[i].status === 'fulfilled');
+        this.workers.forEach(s => s.worker.unref?.()); // an idle pool never keeps a Node process alive
+    }
+
+    /**
+     * kind: 'splats' (data.bin rows) or 'sh' (shcoef.bin rows). The buffer is
+     * transferred. Resolves to allocSplats()-shaped arrays, or a Float32Array for 'sh';
+     * rejects once every worker has died.
+     */
+    decode(kind, buffer, count, attributes) {
+        if (!this.workers.length) return Promise.reject(new Error('Decode workers died; no worker left to decode on'));
+        const slot = this.workers.reduce((a, b) => (b.jobs < a.jobs ? b : a));
+        const id = this.nextId++;
+        if (slot.jobs++ === 0) slot.worker.ref?.();
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, slot });
+            slot.worker.postMessage({ id, kind, buffer, count, attributes }, [buffer]);
+        });
+    }
+
+    settle({ id, result, error }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+        this.jobs.delete(id);
+        if (--job.slot.jobs === 0) job.slot.worker.unref?.();
+        if (error) job.reject(new Error(error));
+        else job.resolve(result);
+    }
+
+    // A worker died: fail its jobs and drop it from the pool
+    fail(slot, error) {
+        for (const [id, job] of this.jobs) {
+            if (job.slot !== slot) continue;
+            this.jobs.delete(id);
+            job.reject(error);
+        }
+        this.workers = this.workers.filter(w => w !== slot);
+        slot.worker.terminate();
+    }
+
+    terminate() {
+        for (const { worker } of this.workers) worker.terminate();
+        for (const job of this.jobs.values()) job.reject(new Error('Decode pool terminated'));
+        this.workers = [];
+        this.jobs.clear();
+        this.starting = null;
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * LCC Decode Worker
+ * Runs decodeSplats / decodeShcoef for DecodePool, as a module Web Worker or a Node worker_threads Worker
+ */
+
+import { allocSplats, decodeSplats, decodeShcoef } from './lcc-loader.js';
+
+const isWebWorker = typeof WorkerGlobalScope !== 'undefined';
+const port = isWebWorker ? self : (await import('node:worker_threads')).parentPort;
+
+function handle({ id, kind, buffer, count, attributes }) {
+    try {
+        if (kind === 'sh') {
+            const result = decodeShcoef(buffer, attributes);
+            port.postMessage({ id, result }, [result.buffer]);
+        } else {
+            const result = decodeSplats(new DataView(buffer), count, attributes, allocSplats(count));
+            port.postMessage({ id, result }, Object.values(result).map(a => a.buffer));
+        }
+    } catch (error) {
+        port.postMessage({ id, error: error.message });
+    }
+}
+
+if (isWebWorker) self.onmessage = e => handle(e.data);
+else port.on('message', handle);
+port.postMessage({ ready: true });
@@ -0,0 +1,352 @@
+/**
+ * Splat Exporters
+ * Converts decoded LCC splats (see LCCLoader.parseSplats) to other 3DGS formats
+ */
+
+const SH_C0 = 0.28209479177387814;
+const SH_COEFFS = [0, 3, 8, 15]; // non-DC coefficients per SH degree
+const SH_BANDS = [[0, 3], [3, 8], [8, 15]];
+const RSQRT2 = 0.7071067811865475;
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_VERSION = 2;
+const SPZ_FRACTIONAL_BITS = 12;
+const SPZ_COLOR_SCALE = 0.15;
+
+// Decoded LCC splats are linear; INRIA PLY stores SH DC, logit opacity and log scale
+const toSH0 = c => (c - 0.5) / SH_C0;
+const toLogit = a => {
+    const p = Math.min(Math.max(a, 1e-6), 1 - 1e-6);
+    return Math.log(p / (1 - p));
+};
+const toLogScale = s => Math.log(Math.max(s, 1e-12));
+
+const shDegreeOf = (data, shDegree) => data.sphericalHarmonics ? Math.max(0, Math.min(3, shDegree ?? 3)) : 0;
+const toUint8 = v => Math.max(0, Math.min(255, Math.round(v)));
+
+// Real SH basis for degrees 1-3, same order and signs as the renderer's evalSH()
+function shBasis(x, y, z) {
+    const xx = x * x, yy = y * y, zz = z * z;
+    return [
+        -0.4886025119029199 * y, 0.4886025119029199 * z, -0.4886025119029199 * x,
+        1.0925484305920792 * x * y, -1.0925484305920792 * y * z, 0.31539156525252005 * (2 * zz - xx - yy),
+        -1.0925484305920792 * x * z, 0.5462742152960396 * (xx - yy),
+        -0.5900435899266435 * y * (3 * xx - yy), 2.890611442640554 * x * y * z,
+        -0.4570457994644658 * y * (4 * zz - xx - yy), 0.3731763325901154 * z * (2 * zz - 3 * xx - 3 * yy),
+        -0.4570457994644658 * x * (4 * zz - xx - yy), 1.445305721320277 * z * (xx - yy),
+        -0.5900435899266435 * x * (xx - 3 * yy)
+    ];
+}
+
+// Per-band matrices M with f'(d) = f(R^T d), fitted by least squares over
+// a spiral of sample directions. R is a row-major 3x3 rotation.
+function shRotation(R) {
+    const dirs = [];
+    for (let k = 0; k < 64; k++) {
+        const z = 1 - 2 * (k + 0.5) / 64, r = Math.sqrt(1 - z * z), phi = k * 2.399963229728653;
+        dirs.push([r * Math.cos(phi), r * Math.sin(phi), z]);
+    }
+    const A = dirs.map(([x, y, z]) => shBasis(x, y, z));
+    const B = dirs.map(([x, y, z]) => shBasis(
+        R[0] * x + R[3] * y + R[6] * z, R[1] * x + R[4] * y + R[7] * z, R[2] * x + R[5] * y + R[8] * z));
+
+    return SH_BANDS.map(([a, b]) => {
+        const n = b - a;
+        // Solve (A^T A) M = A^T B with Gauss-Jordan elimination
+        const m = Array.from({ length: n }, (_, i) => {
+            const row = new Array(2 * n).fill(0);
+            for (let k = 0; k < dirs.length; k++) {
+                for (let j = 0; j < n; j++) {
+                    row[j] += A[k][a + i] * A[k][a + j];
+                    row[n + j] += A[k][a + i] * B[k][a + j];
+                }
+            }
+            return row;
+        });
+        for (let c = 0; c < n; c++) {
+            const pivot = m[c][c];
+            for (let j = 0; j < 2 * n; j++) m[c][j] /= pivot;
+            for (let r = 0; r < n; r++) {
+                if (r === c) continue;
+                const f = m[r][c];
+                for (let j = 0; j < 2 * n; j++) m[r][j] -= f * m[c][j];
+            }
+        }
+        return m.map(row => row.slice(n));
+    });
+}
+
+/**
+ * Copy of `data` rotated from LCC Z-up to Y-up, the same (x,y,z) -> (x,z,-y)
+ * the renderer applies in its shader. Positions, normals, quaternions and SH are rotated.
+ */
+export function zUpToYUp(data) {
+    const n = data.opacities.length;
+    const positions = new Float32Array(n * 3);
+    const rotations = new Float32Array(n * 4);
+    const normals = data.normals ? new Float32Array(n * 3) : null;
+    for (let i = 0; i < n; i++) {
+        const p = i * 3, q = i * 4;
+        positions[p] = data.positions[p];
+        positions[p + 1] = data.positions[p + 2];
+        positions[p + 2] = -data.positions[p + 1];
+        if (normals) {
+            normals[p] = data.normals[p];
+            normals[p + 1] = data.normals[p + 2];
+            normals[p + 2] = -data.normals[p + 1];
+        }
+
+        // Stored rotations are conj(q); q' = r * q with r = -90deg about X,
+        // so conj(q') = conj(q) * conj(r)
+        const x = data.rotations[q], y = data.rotations[q + 1], z = data.rotations[q + 2], w = data.rotations[q + 3];
+        rotations[q] = RSQRT2 * (x + w);
+        rotations[q + 1] = RSQRT2 * (y + z);
+        rotations[q + 2] = RSQRT2 * (z - y);
+        rotations[q + 3] = RSQRT2 * (w - x);
+    }
+
+    let sphericalHarmonics = null;
+    if (data.sphericalHarmonics) {
+        const bands = shRotation([1, 0, 0, 0, 0, 1, 0, -1, 0]);
+        const src = data.sphericalHarmonics;
+        sphericalHarmonics = new Float32Array(src.length);
+        for (let i = 0; i < n; i++) {
+            const o = i * 45;
+            SH_BANDS.forEach(([a, b], band) => {
+                const M = bands[band];
+                for (let c = 0; c < 3; c++) {
+                    for (let r = a; r < b; r++) {
+                        let v = 0;
+                        for (let k = a; k < b; k++) v += M[r - a][k - a] * src[o + k * 3 + c];
+                        sphericalHarmonics[o + r * 3 + c] = v;
+                    }
+                }
+            });
+        }
+    }
+
+    return { ...data, positions, rotations, normals, sphericalHarmonics, cov3Ds: null };
+}
+
+/**
+ * Concatenate decoded splat sets (e.g. streamed cells) into one
+ */
+export function concatSplats(list) {
+    const n = list.reduce((sum, d) => sum + d.splatCount, 0);
+    const hasSH = list.some(d => d.sphericalHarmonics);
+    const hasNormals = list.some(d => d.normals);
+    const out = {
+        splatCount: n,
+        positions: new Float32Array(n * 3),
+        colors: new Float32Array(n * 3),
+        opacities: new Float32Array(n),
+        scales: new Float32Array(n * 3),
+        rotations: new Float32Array(n * 4),
+        normals: hasNormals ? new Float32Array(n * 3) : null,
+        sphericalHarmonics: hasSH ? new Float32Array(n * 45) : null
+    };
+    let i = 0;
+    for (const d of list) {
+        const c = d.splatCount;
+        out.positions.set(d.positions.subarray(0, c * 3), i * 3);
+        out.colors.set(d.colors.subarray(0, c * 3), i * 3);
+        out.opacities.set(d.opacities.subarray(0, c), i);
+        out.scales.set(d.scales.subarray(0, c * 3), i * 3);
+        out.rotations.set(d.rotations.subarray(0, c * 4), i * 4);
+        if (hasNormals && d.normals) out.normals.set(d.normals.subarray(0, c * 3), i * 3);
+        if (hasSH && d.sphericalHarmonics) out.sphericalHarmonics.set(d.sphericalHarmonics.subarray(0, c * 45), i * 45);
+        i += c;
+    }
+    return out;
+}
+
+/**
+ * INRIA 3DGS PLY (binary little endian) header for `count` splats, with an
+ * optional `comment` line
+ */
+export function toPLYHeader(count, { shDegree = 0, comment = null } = {}) {
+    const props = ['x', 'y', 'z', 'nx', 'ny', 'nz', 'f_dc_0', 'f_dc_1', 'f_dc_2'];
+    for (let i = 0; i < SH_COEFFS[shDegree] * 3; i++) props.push(`f_rest_${i}`);
+    props.push('opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3');
+    return [
+        'ply',
+        'format binary_little_endian 1.0',
+        ...(comment === null ? [] : [`comment ${comment}`]),
+        `element vertex ${count}`,
+        ...props.map(p => `property float ${p}`),
+        'end_header',
+        ''
+    ].join('\n');
+}
+
+/**
+ * PLY vertex rows for splats [start, start + count). Lets callers encode a
+ * large LOD chunk by chunk instead of holding the whole file in memory.
+ */
+export function toPLYRows(data, { shDegree, start = 0, count = data.opacities.length - start, yUp = false } = {}) {
+    if (yUp) data = zUpToYUp(data);
+    const { positions, colors, opacities, scales, rotations, normals, sphericalHarmonics } = data;
+    const degree = shDegreeOf(data, shDegree);
+    const rest = SH_COEFFS[degree];
+    const stride = 9 + rest * 3 + 8;
+    const out = new Float32Array(count * stride);
+
+    for (let s = 0; s < count; s++) {
+        const i = start + s;
+        let o = s * stride;
+        out[o++] = positions[i * 3];
+        out[o++] = positions[i * 3 + 1];
+        out[o++] = positions[i * 3 + 2];
+        if (normals) {
+            out[o++] = normals[i * 3];
+            out[o++] = normals[i * 3 + 1];
+            out[o++] = normals[i * 3 + 2];
+        } else {
+            o += 3;
+        }
+        out[o++] = toSH0(colors[i * 3]);
+        out[o++] = toSH0(colors[i * 3 + 1]);
+        out[o++] = toSH0(colors[i * 3 + 2]);
+
+        // LCC stores SH coefficient-major (rgb per coefficient), PLY channel-major
+        for (let c = 0; c < 3; c++) {
+            for (let j = 0; j < rest; j++) out[o++] = sphericalHarmonics[i * 45 + j * 3 + c];
+        }
+
+        out[o++] = toLogit(opacities[i]);
+        out[o++] = toLogScale(scales[i * 3]);
+        out[o++] = toLogScale(scales[i * 3 + 1]);
+        out[o++] = toLogScale(scales[i * 3 + 2]);
+
+        // rotations hold the conjugate (x, y, z, -w) the renderer's cov3D expects;
+        // PLY wants the scan's own quaternion as (w, x, y, z)
+        out[o++] = -rotations[i * 4 + 3];
+        out[o++] = rotations[i * 4];
+        out[o++] = rotations[i * 4 + 1];
+        out[o++] = rotations[i * 4 + 2];
+    }
+    return new Uint8Array(out.buffer);
+}
+
+/**
+ * Whole PLY file in memory (fine for a single LOD/cell in the browser)
+ */
+export function toPLY(data, { shDegree, yUp = false } = {}) {
+    const degree = shDegreeOf(data, shDegree);
+    const header = new TextEncoder().encode(toPLYHeader(data.opacities.length, { shDegree: degree }));
+    const rows = toPLYRows(data, { shDegree: degree, yUp });
+    const out = new Uint8Array(header.length + rows.length);
+    out.set(header);
+    out.set(rows, header.length);
+    return out.buffer;
+}
+
+/**
+ * antimatter15 .splat: 32-byte rows of position (3x f32), linear scale
+ * (3x f32), RGBA u8 and rotation (w,x,y,z) u8. No header, so chunks of a
+ * large LOD can simply be appended.
+ */
+export function toSplat(data, { start = 0, count = data.opacities.length - start, yUp = false } = {}) {
+    if (yUp) data = zUpToYUp(data);
+    const { positions, colors, opacities, scales, rotations } = data;
+    const buffer = new ArrayBuffer(count * 32);
+    const f = new Float32Array(buffer);
+    const u = new Uint8Array(buffer);
+
+    for (let s = 0; s < count; s++) {
+        const i = start + s;
+        f[s * 8] = positions[i * 3];
+        f[s * 8 + 1] = positions[i * 3 + 1];
+        f[s * 8 + 2] = positions[i * 3 + 2];
+        f[s * 8 + 3] = scales[i * 3];
+        f[s * 8 + 4] = scales[i * 3 + 1];
+        f[s * 8 + 5] = scales[i * 3 + 2];
+
+        const o = s * 32 + 24;
+        u[o] = toUint8(colors[i * 3] * 255);
+        u[o + 1] = toUint8(colors[i * 3 + 1] * 255);
+        u[o + 2] = toUint8(colors[i * 3 + 2] * 255);
+        u[o + 3] = toUint8(opacities[i] * 255);
+
+        // Undo the stored conjugate: (w, x, y, z) = (-rw, rx, ry, rz)
+        const x = rotations[i * 4], y = rotations[i * 4 + 1], z = rotations[i * 4 + 2], w = -rotations[i * 4 + 3];
+        const len = Math.hypot(x, y, z, w) || 1;
+        u[o + 4] = toUint8(w / len * 128 + 128);
+        u[o + 5] = toUint8(x / len * 128 + 128);
+        u[o + 6] = toUint8(y / len * 128 + 128);
+        u[o + 7] = toUint8(z / len * 128 + 128);
+    }
+    return buffer;
+}
+
+// Most fractional bits (up to SPZ_FRACTIONAL_BITS) that keep every position in 24 signed bits
+function spzFractionalBits(positions, n) {
+    let max = 0;
+    for (let i = 0; i < n * 3; i++) max = Math.max(max, Math.abs(positions[i]));
+    const limit = 2 ** 23 - 1;
+    for (let bits = SPZ_FRACTIONAL_BITS; bits >= 0; bits--) {
+        if (Math.round(max * 2 ** bits) <= limit) return bits;
+    }
+    throw new Error(`SPZ positions must be within +-${limit} units; this scan reaches ${max}`);
+}
+
+/**
+ * Niantic SPZ (version 2): gzipped header + columnar quantized attributes.
+ * Positions are 24-bit fixed point with up to 12 fractional bits, fewer when
+ * the largest coordinate needs them (the header records how many); throws when
+ * a coordinate is beyond +-2^23 units even with none.
+ * Resolves to an ArrayBuffer; gzip uses CompressionStream (browsers, Node 18+).
+ */
+export async function toSPZ(data, { shDegree, yUp = false } = {}) {
+    if (yUp) data = zUpToYUp(data);
+    const degree = shDegreeOf(data, shDegree);
+    const { positions, colors, opacities, scales, rotations, sphericalHarmonics } = data;
+    const n = opacities.length;
+    const shDim = SH_COEFFS[degree];
+    const fractionalBits = spzFractionalBits(positions, n);
+
+    const size = 16 + n * (9 + 1 + 3 + 3 + 3 + shDim * 3);
+    const bytes = new Uint8Array(size);
+    const header = new DataView(bytes.buffer);
+    header.setUint32(0, SPZ_MAGIC, true);
+    header.setUint32(4, SPZ_VERSION, true);
+    header.setUint32(8, n, true);
+    header.setUint8(12, degree);
+    header.setUint8(13, fractionalBits);
+    header.setUint8(14, 0); // flags: not antialiased
+    header.setUint8(15, 0);
+
+    let o = 16;
+    // Positions: 24-bit signed fixed point
+    const fixedScale = 2 ** fractionalBits;
+    for (let i = 0; i < n * 3; i++) {
+        const v = Math.round(positions[i] * fixedScale);
+        bytes[o++] = v & 0xFF;
+        bytes[o++] = (v >> 8) & 0xFF;
+        bytes[o++] = (v >> 16) & 0xFF;
+    }
+    // Alphas
+    for (let i = 0; i < n; i++) bytes[o++] = toUint8(opacities[i] * 255);
+    // Colors: SH DC scaled around 0.5
+    for (let i = 0; i < n * 3; i++) bytes[o++] = toUint8(toSH0(colors[i]) * SPZ_COLOR_SCALE * 255 + 0.5 * 255);
+    // Scales: log scale, (s + 10) * 16
+    for (let i = 0; i < n * 3; i++) bytes[o++] = toUint8((toLogScale(scales[i]) + 10) * 16);
+    // Rotations: xyz of the normalized (x, y, z, w) quaternion with w >= 0
+    for (let i = 0; i < n; i++) {
+        let x = rotations[i * 4], y = rotations[i * 4 + 1], z = rotations[i * 4 + 2], w = -rotations[i * 4 + 3];
+        const len = (w < 0 ? -1 : 1) * (Math.hypot(x, y, z, w) || 1);
+        bytes[o++] = toUint8(x / len * 127.5 + 127.5);
+        bytes[o++] = toUint8(y / len * 127.5 + 127.5);
+        bytes[o++] = toUint8(z / len * 127.5 + 127.5);
+    }
+    // SH: coefficient-major, rgb inner (same as LCC); 5 bits for degree 1, 4 for the rest
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < shDim * 3; j++) {
+            const bucket = j < 9 ? 8 : 16;
+            const q = Math.round(sphericalHarmonics[i * 45 + j] * 128) + 128;
+            bytes[o++] = toUint8(Math.floor((q + bucket / 2) / bucket) * bucket);
+        }
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
@@ -4,8 +4,20 @@
  * Data Organization Format originated from XGRIDS
  */
 
+import { openSource, readStream } from './lcc-sources.js';
+import { DecodePool } from './lcc-decode-pool.js';
+
 const BYTES_PER_SPLAT = 32;
+const BYTES_PER_SH = 64; // shcoef.bin offsets/sizes are 2x those in data.bin
+const SH_FLOATS = 45;
+const INDEX_HEADER_BYTES = 4;
+const BYTES_PER_INDEX_LOD = 16;
 const QLUT = [3, 0, 1, 2, 0, 3, 1, 2, 0, 1, 3, 2, 0, 1, 2, 3];
+const LCI_MAGIC = 0x6c6c6f63;
+const LCI_HEADER_BYTES = 48;
+const LCI_MESH_HEADER_BYTES = 40;
+const LCI_BVH_RESERVED_BYTES = 16;
+const BVH_NODE_BYTES = 32;
 const SQRT2 = 1.414213562373095;
 const RSQRT2 = 0.7071067811865475;
 
@@ -14,57 +26,50 @@ export class LCCLoader {
         this.meta = null;
         this.attributes = {};
         this.targetLOD = options.targetLOD ?? 4;
+        this.shDegree = options.shDegree ?? 3; // 0 skips shcoef.bin entirely
+        this.sourceOptions = options.sourceOptions ?? {}; // HttpSource/ZipSource options for string inputs
+        this.workers = options.workers ?? DecodePool.defaultSize(); // 0 decodes on the calling thread
+        this.chunkSplats = options.chunkSplats ?? 16384;  // rows per decode job
+        this.cache = options.cache ?? null; // LCCCache (lcc-cache.js): reads go through a CachedSource
+        this.packed = options.packed ?? false; // keep data.bin / shcoef.bin rows as they are, see unpackSplats()
+        this.source = null;
+        this.pool = null;
     }
 
-    async load(basePath, onProgress = () => {}) {
-        // Resolve paths
-        const isLccFile = basePath.endsWith('.lcc');
-        const metaUrl = isLccFile ? basePath : `${basePath.replace(/\/?$/, '/')}/meta.lcc`;
-        this.dataBasePath = isLccFile ? basePath.substring(0, basePath.lastIndexOf('/') + 1) : basePath.replace(/\/?$/, '/');
-
-        // Load metadata
+    // input: URL of a .lcc file, scan folder or .zip, or any source from lcc-sources.js.
+    // onPartial(data) receives the decoded prefix while the download is still running.
+    async load(input, onProgress = () => {}, onPartial = null) {
+        // Load metadata + index
         onProgress(0.05);
-        const metaResponse = await fetch(metaUrl, { mode: 'cors' });
-        this.meta = await metaResponse.json();
-        this.parseAttributes();
+        await this.loadMeta(input);
+        await this.loadIndex();
 
-        // Calculate LOD byte range
-        const splatCounts = this.meta.splats;
-        let dataOffset = 0;
-        for (let i = 0; i < this.targetLOD; i++) {
-            dataOffset += splatCounts[i] * BYTES_PER_SPLAT;
-        }
-        const totalSplats = splatCounts[this.targetLOD];
-        const dataSize = totalSplats * BYTES_PER_SPLAT;
-
-        // Load splat data with range request
-        onProgress(0.2);
-        const dataUrl = `${this.dataBasePath}data.bin`;
-        let dataResponse = await fetch(dataUrl, {
-            mode: 'cors',
-            headers: { 'Range': `bytes=${dataOffset}-${dataOffset + dataSize - 1}` }
-        });
+        // Collect every cell's byte range for the target LOD
+        const lod = this.targetLOD;
+        const nodes = this.cells.map(c => c.lods[lod]).filter(n => n && n.count > 0);
+        const totalSplats = nodes.reduce((sum, n) => sum + n.count, 0);
 
-        let dataBuffer;
-        if (dataResponse.status === 206) {
-            dataBuffer = await dataResponse.arrayBuffer();
-        } else {
-            const fullBuffer = await (await fetch(dataUrl, { mode: 'cors' })).arrayBuffer();
-            dataBuffer = fullBuffer.slice(dataOffset, dataOffset + dataSize);
-        }
+        // Where each cell's splats land: ranges are decoded in data.bin order
+        let start = 0;
+        const cellRanges = this.cells.filter(c => c.lods[lod]?.count > 0)
+            .sort((a, b) => a.lods[lod].offset - b.lods[lod].offset)
+            .map(c => {
+                const { count } = c.lods[lod];
+                start += count;
+                return { x: c.x, y: c.y, lod, start: start - count, count };
+            });
 
-        // Parse splat data
-        onProgress(0.5);
-        const splatData = this.parseSplats(new DataView(dataBuffer), totalSplats, onProgress);
+        // Stream splat data (adjacent cells are merged into one range), decoding as bytes arrive
+        onProgress(0.1);
+        const splatData = this.allocSplats(totalSplats);
+        const ranges = this.mergeRanges(nodes);
+        await this.decodeRanges('data.bin', ranges, splatData, (decoded, ready) => {
+            onProgress(0.1 + 0.8 * decoded / totalSplats);
+            onPartial?.({ ...sliceSplats(splatData, ready), cellRanges });
+        });
 
-        // Load spherical harmonics if Quality mode
-        let shData = null;
-        if (this.meta.fileType === 'Quality') {
-            try {
-                const shResponse = await fetch(`${this.dataBasePath}shcoef.bin`, { mode: 'cors' });
-                if (shResponse.ok) shData = this.parseShcoef(await shResponse.arrayBuffer());
-            } catch (e) {}
-        }
+        // Load spherical harmonics for the same ranges if Quality mode
+        const shData = await this.loadShcoef(ranges, totalSplats, decoded => onProgress(0.9 + 0.1 * decoded / totalSplats));
 
         onProgress(1.0);
         return {
@@ -73,10 +78,266 @@ export class LCCLoader {
             totalSplats: this.meta.totalSplats,
             boundingBox: this.meta.boundingBox,
             ...splatData,
-            sphericalHarmonics: shData
+            [this.packed ? 'shPacked' : 'sphericalHarmonics']: shData,
+            cellRanges
         };
     }
 
+    async loadMeta(input) {
+        if (this.meta && (this.source === input || this.sourceInput === input)) return this.meta;
+
+        let source = typeof input === 'string' ? await openSource(input, this.sourceOptions) : input;
+        if (this.cache) source = this.cache.wrap(source);
+        const meta = JSON.parse(new TextDecoder().decode(await source.read(source.metaName)));
+        this.source = source;
+        this.sourceInput = input;
+        this.meta = meta;
+        this.attributes = {};
+        this.cells = null;
+        this.parseAttributes();
+        return this.meta;
+    }
+
+    // Index.bin: one fixed-size record per Unit (grid cell), holding a
+    // uint32 index (x in low 16 bits, y in high 16) followed by
+    // { uint32 points, uint64 offset, uint32 size } for every LOD level
+    async loadIndex() {
+        if (this.cells) return this.cells;
+        this.cells = this.parseIndex(await this.source.read('index.bin'));
+        return this.cells;
+    }
+
+    parseIndex(buffer) {
+        const view = new DataView(buffer);
+        const levels = this.meta.totalLevel ?? this.meta.splats.length;
+        const recordSize = this.meta.indexDataSize || INDEX_HEADER_BYTES + levels * BYTES_PER_INDEX_LOD;
+        const unitCount = Math.floor(buffer.byteLength / recordSize);
+        const bb = this.meta.boundingBox;
+        const cellX = this.meta.cellLengthX, cellY = this.meta.cellLengthY;
+        const cells = [];
+
+        for (let u = 0; u < unitCount; u++) {
+            const o = u * recordSize;
+            const index = view.getUint32(o, true);
+            const x = index & 0xFFFF, y = index >>> 16;
+
+            const lods = [];
+            for (let l = 0; l < levels; l++) {
+                const lo = o + INDEX_HEADER_BYTES + l * BYTES_PER_INDEX_LOD;
+                lods.push({
+                    count: view.getUint32(lo, true),
+                    offset: Number(view.getBigUint64(lo + 4, true)),
+                    size: view.getUint32(lo + 12, true)
+                });
+            }
+
+            // Unit bounds start at boundingBox.min, stepping by cellLength
+            const min = [bb.min[0] + x * cellX, bb.min[1] + y * cellY, bb.min[2]];
+            const max = [min[0] + cellX, min[1] + cellY, bb.max[2]];
+            cells.push({ x, y, index, lods, bounds: { min, max } });
+        }
+        return cells;
+    }
+
+    getCells() {
+        return this.cells ?? [];
+    }
+
+    getCell(x, y) {
+        return this.getCells().find(c => c.x === x && c.y === y) ?? null;
+    }
+
+    async loadCell(x, y, lod = this.targetLOD, onProgress = () => {}, onPartial = null) {
+        await this.loadIndex();
+        const cell = this.getCell(x, y);
+        if (!cell) throw new Error(`No cell at ${x},${y}`);
+        const node = cell.lods[lod];
+        if (!node) throw new Error(`Cell ${x},${y} has no LOD ${lod}`);
+
+        const splatData = this.allocSplats(node.count);
+        let shData = null;
+        if (node.count > 0) {
+            // progress in proportion to the bytes read from each file
+            const share = this.meta.fileType === 'Quality' && this.shDegree > 0 ? BYTES_PER_SPLAT / (BYTES_PER_SPLAT + BYTES_PER_SH) : 1;
+            await this.decodeRanges('data.bin', [node], splatData, (decoded, ready) => {
+                onProgress(share * decoded / node.count);
+                onPartial?.({ x, y, lod, ...sliceSplats(splatData, ready) });
+            });
+            shData = await this.loadShcoef([node], node.count, decoded => onProgress(share + (1 - share) * decoded / node.count));
+        }
+        onProgress(1.0);
+        return { x, y, lod, splatCount: node.count, bounds: cell.bounds, ...splatData, [this.packed ? 'shPacked' : 'sphericalHarmonics']: shData };
+    }
+
+    // Range-load shcoef.bin rows matching data.bin ranges; null when the
+    // scan is Portable, SH is disabled, or the file is missing
+    async loadShcoef(ranges, count, onChunk = () => {}) {
+        if (this.meta.fileType !== 'Quality' || this.shDegree <= 0) return null;
+        try {
+            const shData = this.packed ? new Uint8Array(count * BYTES_PER_SH) : new Float32Array(count * SH_FLOATS);
+            await this.decodeRanges('shcoef.bin', ranges, shData, onChunk);
+            return shData;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Stream data.bin (or the matching shcoef.bin) ranges back to back into out.
+    // onChunk(decoded, ready): splats decoded so far, and how many of the
+    // first splats are complete (chunks can finish out of order).
+    async decodeRanges(name, ranges, out, onChunk = () => {}) {
+        const kind = name === 'shcoef.bin' ? 'sh' : 'splats';
+        const scale = kind === 'sh' ? BYTES_PER_SH / BYTES_PER_SPLAT : 1;
+        const done = new Map();
+        let decoded = 0, ready = 0, first = 0;
+        const onDecoded = (at, count) => {
+            decoded += count;
+            done.set(at, count);
+            while (done.has(ready)) {
+                const c = done.get(ready);
+                done.delete(ready);
+                ready += c;
+            }
+            onChunk(decoded, ready);
+        };
+
+        // Read the next range while earlier chunks are still decoding
+        const pending = [];
+        for (const range of ranges) {
+            const { decoded: finished } = await this.streamDecode(kind, name, range.offset * scale, range.size * scale, out, first, onDecoded);
+            pending.push(finished);
+            first += range.size / BYTES_PER_SPLAT;
+        }
+        await Promise.all(pending);
+    }
+
+    // Cut the byte stream into chunkSplats-row jobs as it arrives. Resolves once
+    // every byte is read; `decoded` resolves once every job has finished.
+    async streamDecode(kind, name, offset, size, out, first, onDecoded) {
+        const rowBytes = kind === 'sh' ? BYTES_PER_SH : BYTES_PER_SPLAT;
+        const pool = await this.decoder();
+        const jobs = [];
+        let remaining = size, row = first, filled = 0;
+        let chunk = new Uint8Array(Math.min(this.chunkSplats * rowBytes, remaining));
+
+        for await (const bytes of readStream(this.source, name, offset, offset + size)) {
+            for (let p = 0; p < bytes.length && chunk.length;) {
+                const n = Math.min(bytes.length - p, chunk.length - filled);
+                chunk.set(bytes.subarray(p, p + n), filled);
+                filled += n;
+                p += n;
+                if (filled < chunk.length) continue;
+
+                const count = filled / rowBytes, at = row;
+                const job = this.decodeChunk(pool, kind, chunk.buffer, count, out, at).then(() => onDecoded(at, count));
+                job.catch(() => {}); // surfaced through `decoded`
+                jobs.push(job);
+                row += count;
+                remaining -= filled;
+                filled = 0;
+                chunk = new Uint8Array(Math.min(this.chunkSplats * rowBytes, remaining));
+            }
+        }
+        if (remaining > 0) throw new Error(`${name}: expected ${size} bytes at ${offset}, got ${size - remaining + filled}`);
+        const decoded = Promise.all(jobs);
+        decoded.catch(() => {});
+        return { decoded };
+    }
+
+    async decodeChunk(pool, kind, buffer, count, out, at) {
+        if (this.packed) {
+            if (kind === 'sh') out.set(new Uint8Array(buffer), at * BYTES_PER_SH);
+            else out.packed.set(new Uint8Array(buffer), at * BYTES_PER_SPLAT);
+            return;
+        }
+        if (!pool?.workers.length) {
+            // No pool, or every worker died: decode on this thread
+            if (kind === 'sh') decodeShcoef(buffer, this.attributes, out, at);
+            else decodeSplats(new DataView(buffer), count, this.attributes, out, at);
+            return;
+        }
+        let result;
+        try {
+            result = await pool.decode(kind, buffer, count, this.attributes);
+        } catch (e) {
+            // The last worker died before taking the buffer (it is only detached once posted)
+            if (pool.workers.length || !buffer.byteLength) throw e;
+            return this.decodeChunk(null, kind, buffer, count, out, at);
+        }
+        if (kind === 'sh') out.set(result, at * SH_FLOATS);
+        else for (const key in result) out[key].set(result[key], at * (result[key].length / count));
+    }
+
+    // Worker pool, started on first use; null when decoding on this thread (or not at all, when packed)
+    async decoder() {
+        if (this.workers <= 0 || this.packed) return null;
+        this.pool ??= new DecodePool(this.workers);
+        return (await this.pool.start()) && this.pool.workers.length ? this.pool : null;
+    }
+
+    dispose() {
+        this.pool?.terminate();
+        this.pool = null;
+    }
+
+    // Environment.bin: background splats (sky, far surroundings) as Data.bin
+    // rows, each followed by its 64-byte shcoef row when the scan is Quality.
+    // Decoded against the envscale / envshcoef attributes; null when absent.
+    async loadEnvironment() {
+        let buffer;
+        try {
+            buffer = await this.source.read('environment.bin');
+        } catch (e) {
+            return null;
+        }
+        const quality = this.meta.fileType === 'Quality';
+        const stride = BYTES_PER_SPLAT + (quality ? BYTES_PER_SH : 0);
+        const count = Math.floor(buffer.byteLength / stride);
+
+        // Split the interleaved rows so the Data.bin / Shcoef.bin decoders apply
+        const bytes = new Uint8Array(buffer);
+        const rows = new Uint8Array(count * BYTES_PER_SPLAT);
+        const shRows = quality ? new Uint8Array(count * BYTES_PER_SH) : null;
+        for (let i = 0; i < count; i++) {
+            rows.set(bytes.subarray(i * stride, i * stride + BYTES_PER_SPLAT), i * BYTES_PER_SPLAT);
+            shRows?.set(bytes.subarray(i * stride + BYTES_PER_SPLAT, (i + 1) * stride), i * BYTES_PER_SH);
+        }
+
+        const a = this.attributes;
+        const attributes = { ...a, scale: a.envscale ?? a.scale, shcoef: a.envshcoef ?? a.shcoef, normal: a.envnormal ?? a.normal };
+        const splatData = decodeSplats(new DataView(rows.buffer), count, attributes, allocSplats(count));
+        const shData = shRows && this.shDegree > 0 ? decodeShcoef(shRows.buffer, attributes) : null;
+        return { splatCount: count, ...splatData, sphericalHarmonics: shData };
+    }
+
+    // Collision.lci: triangle meshes per cell plus their serialized BVHs, in
+    // LCC coordinates (see parseCollision). null when the scan has none.
+    async loadCollision() {
+        let buffer;
+        try {
+            buffer = await this.source.read('collision.lci');
+        } catch (e) {
+            return null;
+        }
+        return parseCollision(buffer);
+    }
+
+    // Coalesce { offset, size } ranges that sit back to back in data.bin
+    mergeRanges(nodes) {
+        const sorted = [...nodes].sort((a, b) => a.offset - b.offset);
+        const ranges = [];
+        for (const n of sorted) {
+            const last = ranges[ranges.length - 1];
+            if (last && last.offset + last.size === n.offset) last.size += n.size;
+            else ranges.push({ offset: n.offset, size: n.size });
+        }
+        return ranges;
+    }
+
+    async readRange(name, offset, size) {
+        return this.source.readRange(name, offset, offset + size);
+    }
+
     parseAttributes() {
         if (!this.meta.attributes) return;
         for (const attr of this.meta.attributes) {
@@ -84,128 +345,251 @@ export class LCCLoader {
         }
     }
 
-    parseSplats(view, count, onProgress) {
-        const positions = new Float32Array(count * 3);
-        const colors = new Float32Array(count * 3);
-        const opacities = new Float32Array(count);
-        const scales = new Float32Array(count * 3);
-        const rotations = new Float32Array(count * 4);
-        const cov3Ds = new Float32Array(count * 6);
+    allocSplats(count) {
+        return this.packed ? { packed: new Uint8Array(count * BYTES_PER_SPLAT), attributes: this.attributes } : allocSplats(count);
+    }
 
-        const scaleAttr = this.attributes.scale || { min: [-10, -10, -10], max: [10, 10, 10] };
+    // Decode `count` splats from view into `out`, starting at splat `first`
+    parseSplats(view, count, onProgress = () => {}, out = allocSplats(count), first = 0) {
+        return decodeSplats(view, count, this.attributes, out, first, onProgress);
+    }
 
-        for (let i = 0; i < count; i++) {
-            const o = i * BYTES_PER_SPLAT;
-
-            // Position (12 bytes)
-            positions[i * 3] = view.getFloat32(o, true);
-            positions[i * 3 + 1] = view.getFloat32(o + 4, true);
-            positions[i * 3 + 2] = view.getFloat32(o + 8, true);
-
-            // Color + Opacity (4 bytes)
-            const colorEnc = view.getUint32(o + 12, true);
-            colors[i * 3] = (colorEnc & 0xFF) / 255;
-            colors[i * 3 + 1] = ((colorEnc >> 8) & 0xFF) / 255;
-            colors[i * 3 + 2] = ((colorEnc >> 16) & 0xFF) / 255;
-            opacities[i] = ((colorEnc >> 24) & 0xFF) / 255;
-
-            // Scale (6 bytes) - Uint16 normalized then lerped
-            const sx = view.getUint16(o + 16, true) / 65535;
-            const sy = view.getUint16(o + 18, true) / 65535;
-            const sz = view.getUint16(o + 20, true) / 65535;
-            scales[i * 3] = scaleAttr.min[0] + (scaleAttr.max[0] - scaleAttr.min[0]) * sx;
-            scales[i * 3 + 1] = scaleAttr.min[1] + (scaleAttr.max[1] - scaleAttr.min[1]) * sy;
-            scales[i * 3 + 2] = scaleAttr.min[2] + (scaleAttr.max[2] - scaleAttr.min[2]) * sz;
-
-            // Rotation (4 bytes) - compressed quaternion
-            const q = this.decodeRotation(view.getUint32(o + 22, true));
-            rotations[i * 4] = q[0];
-            rotations[i * 4 + 1] = q[1];
-            rotations[i * 4 + 2] = q[2];
-            rotations[i * 4 + 3] = -q[3];
-
-            // Compute covariance
-            const cov = this.computeCov3D(
-                [scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2]],
-                [rotations[i * 4], rotations[i * 4 + 1], rotations[i * 4 + 2], rotations[i * 4 + 3]]
-            );
-            cov3Ds.set(cov, i * 6);
-
-            if (i % 50000 === 0) onProgress(0.5 + 0.4 * (i / count));
-        }
+    decodeRotation(enc) {
+        const q = [0, 0, 0, 0];
+        unpackRotation(enc, q, 0);
+        return q;
+    }
 
-        return { positions, colors, opacities, scales, rotations, cov3Ds };
+    computeCov3D(scale, rot) {
+        const cov = [0, 0, 0, 0, 0, 0];
+        covariance(scale[0], scale[1], scale[2], rot[0], rot[1], rot[2], rot[3], cov, 0);
+        return cov;
     }
 
-    decodeRotation(enc) {
-        // Unpack 10+10+10+2 bits
-        const pq0 = (enc & 1023) / 1023;
-        const pq1 = ((enc >> 10) & 1023) / 1023;
-        const pq2 = ((enc >> 20) & 1023) / 1023;
-        const idx = (enc >> 30) & 3;
+    // 15 coefficients x RGB per splat, coefficient-major: [c0.rgb, c1.rgb, ...]
+    parseShcoef(buffer, shCoeffs = null, first = 0) {
+        return decodeShcoef(buffer, this.attributes, shCoeffs, first);
+    }
+}
+
+export function allocSplats(count) {
+    return {
+        positions: new Float32Array(count * 3),
+        colors: new Float32Array(count * 3),
+        opacities: new Float32Array(count),
+        scales: new Float32Array(count * 3),
+        rotations: new Float32Array(count * 4),
+        normals: new Float32Array(count * 3),
+        cov3Ds: new Float32Array(count * 6)
+    };
+}
+
+// Views of the first `count` splats (e.g. the decoded prefix of a load in progress)
+export function sliceSplats(data, count) {
+    if (data.packed) {
+        return {
+            splatCount: count,
+            packed: data.packed.subarray(0, count * BYTES_PER_SPLAT),
+            attributes: data.attributes,
+            shPacked: data.shPacked?.subarray(0, count * BYTES_PER_SH) ?? null
+        };
+    }
+    return {
+        splatCount: count,
+        positions: data.positions.subarray(0, count * 3),
+        colors: data.colors.subarray(0, count * 3),
+        opacities: data.opacities.subarray(0, count),
+        scales: data.scales.subarray(0, count * 3),
+        rotations: data.rotations.subarray(0, count * 4),
+        normals: data.normals.subarray(0, count * 3),
+        cov3Ds: data.cov3Ds.subarray(0, count * 6),
+        sphericalHarmonics: data.sphericalHarmonics?.subarray(0, count * SH_FLOATS) ?? null
+    };
+}
+
+/**
+ * Decoded copy of a packed load (LCCLoader packed: true): the data.bin / shcoef.bin
+ * rows in `packed` / `shPacked`, decoded against `attributes` into the usual arrays
+ */
+export function unpackSplats(data) {
+    const { packed, shPacked, attributes, ...rest } = data;
+    const n = data.splatCount;
+    const out = decodeSplats(new DataView(packed.buffer, packed.byteOffset, n * BYTES_PER_SPLAT), n, attributes, allocSplats(n));
+    const sh = shPacked ? decodeShcoef(shPacked.slice(0, n * BYTES_PER_SH).buffer, attributes) : null;
+    return { ...rest, splatCount: n, ...out, sphericalHarmonics: sh };
+}
+
+// Data.bin rows -> out, starting at splat `first`. No per-splat allocation;
+// shared by LCCLoader and lcc-decode-worker.js.
+export function decodeSplats(view, count, attributes, out, first = 0, onProgress = () => {}) {
+    const { positions, colors, opacities, scales, rotations, normals, cov3Ds } = out;
+    const total = opacities.length;
+
+    const scaleAttr = attributes.scale || { min: [-10, -10, -10], max: [10, 10, 10] };
+    const normalAttr = attributes.normal || { min: [0, 0, 0], max: [0, 0, 0] };
+
+    for (let s = 0; s < count; s++) {
+        const o = s * BYTES_PER_SPLAT;
+        const i = first + s;
 
-        // Decode components
-        const q0 = pq0 * SQRT2 - RSQRT2;
-        const q1 = pq1 * SQRT2 - RSQRT2;
-        const q2 = pq2 * SQRT2 - RSQRT2;
-        const q3 = Math.sqrt(Math.max(0, 1 - q0*q0 - q1*q1 - q2*q2));
+        // Position (12 bytes)
+        positions[i * 3] = view.getFloat32(o, true);
+        positions[i * 3 + 1] = view.getFloat32(o + 4, true);
+        positions[i * 3 + 2] = view.getFloat32(o + 8, true);
 
-        // Reorder via lookup table
-        const q = [q0, q1, q2, q3];
-        const p = [q[QLUT[idx * 4]], q[QLUT[idx * 4 + 1]], q[QLUT[idx * 4 + 2]], q[QLUT[idx * 4 + 3]]];
+        // Color + Opacity (4 bytes)
+        const colorEnc = view.getUint32(o + 12, true);
+        colors[i * 3] = (colorEnc & 0xFF) / 255;
+        colors[i * 3 + 1] = ((colorEnc >> 8) & 0xFF) / 255;
+        colors[i * 3 + 2] = ((colorEnc >> 16) & 0xFF) / 255;
+        opacities[i] = ((colorEnc >> 24) & 0xFF) / 255;
 
-        // Normalize
-        const len = Math.sqrt(p[0]*p[0] + p[1]*p[1] + p[2]*p[2] + p[3]*p[3]);
-        return len > 0 ? [p[0]/len, p[1]/len, p[2]/len, p[3]/len] : p;
+        // Scale (6 bytes) - Uint16 normalized then lerped
+        const sx = view.getUint16(o + 16, true) / 65535;
+        const sy = view.getUint16(o + 18, true) / 65535;
+        const sz = view.getUint16(o + 20, true) / 65535;
+        scales[i * 3] = scaleAttr.min[0] + (scaleAttr.max[0] - scaleAttr.min[0]) * sx;
+        scales[i * 3 + 1] = scaleAttr.min[1] + (scaleAttr.max[1] - scaleAttr.min[1]) * sy;
+        scales[i * 3 + 2] = scaleAttr.min[2] + (scaleAttr.max[2] - scaleAttr.min[2]) * sz;
+
+        // Rotation (4 bytes) - compressed quaternion, stored with w negated
+        unpackRotation(view.getUint32(o + 22, true), rotations, i * 4);
+        rotations[i * 4 + 3] = -rotations[i * 4 + 3];
+
+        // Compute covariance
+        covariance(
+            scales[i * 3], scales[i * 3 + 1], scales[i * 3 + 2],
+            rotations[i * 4], rotations[i * 4 + 1], rotations[i * 4 + 2], rotations[i * 4 + 3],
+            cov3Ds, i * 6
+        );
+
+        // Normal (6 bytes) - optional; all zero when attributes.normal is absent or empty
+        for (let k = 0; k < 3; k++) {
+            normals[i * 3 + k] = normalAttr.min[k] + (normalAttr.max[k] - normalAttr.min[k]) * view.getUint16(o + 26 + k * 2, true) / 65535;
+        }
+
+        if (s % 50000 === 0) onProgress(0.5 + 0.4 * (i / total));
     }
 
-    computeCov3D(scale, rot) {
-        const [x, y, z, w] = rot;
-
-        // Rotation matrix from quaternion (x,y,z,w)
-        const R = [
-            1 - 2*(y*y + z*z), 2*(x*y - w*z), 2*(x*z + w*y),
-            2*(x*y + w*z), 1 - 2*(x*x + z*z), 2*(y*z - w*x),
-            2*(x*z - w*y), 2*(y*z + w*x), 1 - 2*(x*x + y*y)
-        ];
-
-        // M = S * R
-        const M = [
-            scale[0]*R[0], scale[0]*R[1], scale[0]*R[2],
-            scale[1]*R[3], scale[1]*R[4], scale[1]*R[5],
-            scale[2]*R[6], scale[2]*R[7], scale[2]*R[8]
-        ];
-
-        // Sigma = M^T * M (return upper triangle)
-        return [
-            M[0]*M[0] + M[3]*M[3] + M[6]*M[6],
-            M[0]*M[1] + M[3]*M[4] + M[6]*M[7],
-            M[0]*M[2] + M[3]*M[5] + M[6]*M[8],
-            M[1]*M[1] + M[4]*M[4] + M[7]*M[7],
-            M[1]*M[2] + M[4]*M[5] + M[7]*M[8],
-            M[2]*M[2] + M[5]*M[5] + M[8]*M[8]
-        ];
-    }
-
-    parseShcoef(buffer) {
-        const BYTES_PER_SH = 64;
-        const count = Math.floor(buffer.byteLength / BYTES_PER_SH);
-        const view = new DataView(buffer);
-        const shCoeffs = new Float32Array(count * 45);
-        const attr = this.attributes.shcoef || { min: [-1, -1, -1], max: [1, 1, 1] };
+    return out;
+}
 
-        for (let i = 0; i < count; i++) {
-            const o = i * BYTES_PER_SH;
-            for (let j = 0; j < 15; j++) {
-                const enc = view.getUint32(o + j * 4, true);
-                const d0 = (enc & 2047) / 2047;
-                const d1 = ((enc >> 11) & 1023) / 1023;
-                const d2 = ((enc >> 21) & 2047) / 2047;
-                shCoeffs[i * 45 + j * 3] = attr.min[0] + (attr.max[0] - attr.min[0]) * d0;
-                shCoeffs[i * 45 + j * 3 + 1] = attr.min[1] + (attr.max[1] - attr.min[1]) * d1;
-                shCoeffs[i * 45 + j * 3 + 2] = attr.min[2] + (attr.max[2] - attr.min[2]) * d2;
-            }
+// Shcoef.bin rows -> shCoeffs, starting at splat `first`
+export function decodeShcoef(buffer, attributes, shCoeffs = null, first = 0) {
+    const count = Math.floor(buffer.byteLength / BYTES_PER_SH);
+    const view = new DataView(buffer);
+    shCoeffs ??= new Float32Array(count * SH_FLOATS);
+    const attr = attributes.shcoef || { min: [-1, -1, -1], max: [1, 1, 1] };
+
+    for (let s = 0; s < count; s++) {
+        const o = s * BYTES_PER_SH;
+        const i = first + s;
+        for (let j = 0; j < 15; j++) {
+            const enc = view.getUint32(o + j * 4, true);
+            const d0 = (enc & 2047) / 2047;
+            const d1 = ((enc >> 11) & 1023) / 1023;
+            const d2 = ((enc >> 21) & 2047) / 2047;
+            shCoeffs[i * 45 + j * 3] = attr.min[0] + (attr.max[0] - attr.min[0]) * d0;
+            shCoeffs[i * 45 + j * 3 + 1] = attr.min[1] + (attr.max[1] - attr.min[1]) * d1;
+            shCoeffs[i * 45 + j * 3 + 2] = attr.min[2] + (attr.max[2] - attr.min[2]) * d2;
         }
-        return shCoeffs;
     }
+    return shCoeffs;
+}
+
+/**
+ * Collision.lci -> { version, min, max, cellLengthX, cellLengthY, meshes }.
+ * Each mesh is { indexX, indexY, positions: Float32Array, indices: Uint32Array, bvh }
+ * where bvh is the preorder node buffer (32 bytes per node, left child follows
+ * its parent, right child at a 4-byte word offset; flag 0xFFFF marks leaves
+ * holding faceOffset/faceCount) or null for version 1 files.
+ */
+export function parseCollision(buffer) {
+    const view = new DataView(buffer);
+    if (buffer.byteLength < LCI_HEADER_BYTES || view.getUint32(0, true) !== LCI_MAGIC) {
+        throw new Error('Not a Collision.lci file');
+    }
+    const headerLen = view.getUint32(8, true);
+    const vec3 = o => [view.getFloat32(o, true), view.getFloat32(o + 4, true), view.getFloat32(o + 8, true)];
+    const meshNum = view.getUint32(44, true);
+
+    const headers = [];
+    for (let m = 0; m < meshNum; m++) {
+        const o = LCI_HEADER_BYTES + m * LCI_MESH_HEADER_BYTES;
+        headers.push({
+            indexX: view.getUint32(o, true),
+            indexY: view.getUint32(o + 4, true),
+            offset: Number(view.getBigUint64(o + 8, true)),
+            size: Number(view.getBigUint64(o + 16, true)),
+            vertexNum: view.getUint32(o + 24, true),
+            faceNum: view.getUint32(o + 28, true),
+            bvhSize: view.getUint32(o + 32, true)
+        });
+    }
+
+    // Mesh offsets are absolute; files whose first mesh starts inside the header count from headerLen
+    const base = headers.length && headers[0].offset < headerLen ? headerLen : 0;
+    const meshes = headers.map(h => {
+        const o = base + h.offset;
+        const faceStart = o + h.vertexNum * 12;
+        const bvhStart = faceStart + h.faceNum * 12 + LCI_BVH_RESERVED_BYTES;
+        if (faceStart + h.faceNum * 12 > buffer.byteLength) throw new Error(`Collision mesh ${h.indexX},${h.indexY} is truncated`);
+
+        // bvhSize is 0 in version 1; otherwise the rest of bytesSize, behind 16 reserved bytes
+        const bvhBytes = h.bvhSize ? Math.min(h.bvhSize, o + h.size - bvhStart) : 0;
+        const nodes = Math.max(0, Math.floor(bvhBytes / BVH_NODE_BYTES));
+        return {
+            indexX: h.indexX,
+            indexY: h.indexY,
+            positions: new Float32Array(buffer.slice(o, faceStart)),
+            indices: new Uint32Array(buffer.slice(faceStart, faceStart + h.faceNum * 12)),
+            bvh: nodes ? buffer.slice(bvhStart, bvhStart + nodes * BVH_NODE_BYTES) : null
+        };
+    });
+
+    return {
+        version: view.getUint32(4, true),
+        min: vec3(12),
+        max: vec3(24),
+        cellLengthX: view.getFloat32(36, true),
+        cellLengthY: view.getFloat32(40, true),
+        meshes
+    };
+}
+
+const QS = new Float64Array(4); // scratch for unpackRotation
+
+// Smallest-three quaternion (10+10+10+2 bits) -> normalized (x, y, z, w) at out[o]
+function unpackRotation(enc, out, o) {
+    QS[0] = ((enc & 1023) / 1023) * SQRT2 - RSQRT2;
+    QS[1] = (((enc >> 10) & 1023) / 1023) * SQRT2 - RSQRT2;
+    QS[2] = (((enc >> 20) & 1023) / 1023) * SQRT2 - RSQRT2;
+    QS[3] = Math.sqrt(Math.max(0, 1 - QS[0]*QS[0] - QS[1]*QS[1] - QS[2]*QS[2]));
+
+    // Reorder via lookup table
+    const l = ((enc >> 30) & 3) * 4;
+    const x = QS[QLUT[l]], y = QS[QLUT[l + 1]], z = QS[QLUT[l + 2]], w = QS[QLUT[l + 3]];
+
+    // Normalize
+    const len = Math.sqrt(x*x + y*y + z*z + w*w);
+    const inv = len > 0 ? 1 / len : 1;
+    out[o] = x * inv;
+    out[o + 1] = y * inv;
+    out[o + 2] = z * inv;
+    out[o + 3] = w * inv;
+}
+
+// Upper triangle of Sigma = (S R)^T (S R) for quaternion (x,y,z,w) -> out[o]
+function covariance(sx, sy, sz, x, y, z, w, out, o) {
+    // M = S * R, R from quaternion (x,y,z,w)
+    const m0 = sx * (1 - 2*(y*y + z*z)), m1 = sx * (2*(x*y - w*z)), m2 = sx * (2*(x*z + w*y));
+    const m3 = sy * (2*(x*y + w*z)), m4 = sy * (1 - 2*(x*x + z*z)), m5 = sy * (2*(y*z - w*x));
+    const m6 = sz * (2*(x*z - w*y)), m7 = sz * (2*(y*z + w*x)), m8 = sz * (1 - 2*(x*x + y*y));
+
+    out[o] = m0*m0 + m3*m3 + m6*m6;
+    out[o + 1] = m0*m1 + m3*m4 + m6*m7;
+    out[o + 2] = m0*m2 + m3*m5 + m6*m8;
+    out[o + 3] = m1*m1 + m4*m4 + m7*m7;
+    out[o + 4] = m1*m2 + m4*m5 + m7*m8;
+    out[o + 5] = m2*m2 + m5*m5 + m8*m8;
 }
@@ -0,0 +1,287 @@
+/**
+ * CPU Splat Rasterizer
+ * Pure-JS reference for splat-renderer.js: the same projection, 2D covariance,
+ * culling, SH and back-to-front premultiplied blending, one splat at a time.
+ * For headless thumbnails (bin/lcc-render.js) and for checking the shader math.
+ */
+
+import { clipKeep } from './lcc-clipping.js';
+
+// The renderer's mesh.rotation.x = -PI/2: LCC (Z-up) -> world (Y-up), column-major
+const Z_UP_TO_Y_UP = [1, 0, 0, 0, 0, 0, -1, 0, 0, 1, 0, 0, 0, 0, 0, 1];
+const SH_COEFFS = [0, 3, 8, 15]; // non-DC coefficients per SH degree
+const SPLAT_FLOATS = 11;        // per drawn splat between the vertex and fragment stages
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const byte = v => Math.max(0, Math.min(255, Math.round(v * 255)));
+
+export class SplatRasterizer {
+    /**
+     * options.width / height: image size in pixels (the shader's W, H)
+     * options.shDegree: highest SH degree evaluated (0-3, default 3)
+     * options.cullRadius: skip splats farther than this from the camera (0 = off)
+     * options.clip: ClipVolumes (lcc-clipping.js), tested on LCC centers
+     * options.modelMatrix: column-major LCC -> world, default the renderer's Z-up -> Y-up rotation
+     * options.background: [r, g, b] in 0-1 under the splats, or null for a transparent image
+     */
+    constructor(options = {}) {
+        this.width = options.width ?? 512;
+        this.height = options.height ?? 512;
+        this.shDegree = options.shDegree ?? 3;
+        this.cullRadius = options.cullRadius ?? 0;
+        this.clip = options.clip?.pack() ?? null;
+        this.modelMatrix = options.modelMatrix ?? Z_UP_TO_Y_UP;
+        this.background = options.background === undefined ? [0x1a / 255, 0x1a / 255, 0x1f / 255] : options.background;
+    }
+
+    /**
+     * data: decoded splats (LCCLoader.load() / loadCell()).
+     * camera: { position, target, up = [0, 1, 0], fov = 70 (vertical, degrees) } in world space.
+     * Returns { width, height, pixels: Uint8ClampedArray RGBA, drawn }. Unlike the GPU,
+     * blending is not rounded to 8 bits per splat, so images agree to a few levels.
+     */
+    render(data, camera) {
+        const W = this.width, H = this.height;
+        const view = lookAt(camera.position, camera.target, camera.up ?? [0, 1, 0]);
+        const M = this.modelMatrix;
+        const MV = multiply(view, M); // LCC -> view
+
+        // Same uniforms as GaussianSplatRenderer.update()
+        const tan_fovy = Math.tan((camera.fov ?? 70) * Math.PI / 360);
+        const tan_fovx = tan_fovy * W / H;
+        const focal_x = W / (2 * tan_fovx), focal_y = H / (2 * tan_fovy);
+
+        // Camera in LCC for SH directions (objectCamera)
+        const invM = invertAffine(M);
+        const camLCC = transformPoint(invM, camera.position);
+        const shDegree = data.sphericalHarmonics ? Math.max(0, Math.min(3, this.shDegree)) : 0;
+
+        // Vertex stage per splat: cull, then keep what the fragments need
+        const { positions, colors, opacities, cov3Ds, sphericalHarmonics } = data;
+        const n = data.splatCount ?? opacities.length;
+        const S = new Float32Array(n * SPLAT_FLOATS); // [depth, cx, cy, radius, r, g, b, opacity, conic a, b, c] per drawn splat
+        let drawn = 0;
+        for (let i = 0; i < n; i++) {
+            const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+            if (this.clip && !clipKeep(this.clip, x, y, z)) continue;
+            const vx = MV[0] * x + MV[4] * y + MV[8] * z + MV[12];
+            const vy = MV[1] * x + MV[5] * y + MV[9] * z + MV[13];
+            const vz = MV[2] * x + MV[6] * y + MV[10] * z + MV[14];
+            if (vz > -0.2 || (this.cullRadius > 0 && Math.hypot(vx, vy, vz) > this.cullRadius)) continue;
+
+            const cov = computeCov2D(vx, vy, vz, transformCov3D(MV, cov3Ds, i * 6), focal_x, focal_y, tan_fovx, tan_fovy);
+            const det = cov[0] * cov[2] - cov[1] * cov[1];
+            if (det === 0) continue;
+            const mid = 0.5 * (cov[0] + cov[2]);
+            const lambda1 = mid + Math.sqrt(Math.max(0.1, mid * mid - det));
+            const radius = Math.ceil(3 * Math.sqrt(lambda1));
+
+            // projmatrix: p_proj = (x / tan_fovx, y / tan_fovy) / -z
+            const px = vx / tan_fovx / (-vz + 1e-7), py = vy / tan_fovy / (-vz + 1e-7);
+            const cx = ((px + 1) * W - 1) * 0.5, cy = ((py + 1) * H - 1) * 0.5;
+            if (cx + radius < 0 || cx - radius > W || cy + radius < 0 || cy - radius > H) continue;
+
+            // Colors go through the rgba8 splat texture
+            let r = byte(colors[i * 3]) / 255, g = byte(colors[i * 3 + 1]) / 255, b = byte(colors[i * 3 + 2]) / 255;
+            if (shDegree > 0) {
+                const dx = x - camLCC[0], dy = y - camLCC[1], dz = z - camLCC[2];
+                const len = Math.hypot(dx, dy, dz) || 1;
+                const sh = evalSH(sphericalHarmonics, i * 45, shDegree, dx / len, dy / len, dz / len);
+                r = Math.max(r + sh[0], 0); g = Math.max(g + sh[1], 0); b = Math.max(b + sh[2], 0);
+            }
+            S.set([vz, cx, cy, radius, r, g, b, byte(opacities[i]) / 255, cov[2] / det, -cov[1] / det, cov[0] / det], drawn++ * SPLAT_FLOATS);
+        }
+
+        // Back to front, like the worker's sort (ascending view z)
+        const order = new Uint32Array(drawn);
+        for (let k = 0; k < drawn; k++) order[k] = k;
+        order.sort((p, q) => S[p * SPLAT_FLOATS] - S[q * SPLAT_FLOATS]);
+
+        // Fragment stage: pixel centers inside each quad, premultiplied ONE / ONE_MINUS_SRC_ALPHA.
+        // Window y runs bottom-up; image rows top-down.
+        const accum = new Float32Array(W * H * 4);
+        for (const k of order) {
+            const s = k * SPLAT_FLOATS;
+            const cx = S[s + 1], cy = S[s + 2], radius = S[s + 3];
+            const r = S[s + 4], g = S[s + 5], b = S[s + 6], opacity = S[s + 7];
+            const ca = S[s + 8], cb = S[s + 9], cc = S[s + 10];
+            const x0 = Math.max(0, Math.ceil(cx - radius - 0.5)), x1 = Math.min(W, Math.ceil(cx + radius - 0.5));
+            const y0 = Math.max(0, Math.ceil(cy - radius - 0.5)), y1 = Math.min(H, Math.ceil(cy + radius - 0.5));
+            for (let wy = y0; wy < y1; wy++) {
+                const dy = cy - (wy + 0.5);
+                const row = (H - 1 - wy) * W;
+                for (let wx = x0; wx < x1; wx++) {
+                    const dx = cx - (wx + 0.5);
+                    const power = -0.5 * (ca * dx * dx + cc * dy * dy) - cb * dx * dy;
+                    if (power > 0) continue;
+                    const alpha = Math.min(0.99, opacity * Math.exp(power));
+                    if (alpha < 0.004) continue;
+                    const o = (row + wx) * 4, keep = 1 - alpha;
+                    accum[o] = r * alpha + accum[o] * keep;
+                    accum[o + 1] = g * alpha + accum[o + 1] * keep;
+                    accum[o + 2] = b * alpha + accum[o + 2] * keep;
+                    accum[o + 3] = alpha + accum[o + 3] * keep;
+                }
+            }
+        }
+
+        // Over the background, or unpremultiplied for a transparent image
+        const pixels = new Uint8ClampedArray(W * H * 4);
+        const bg = this.background;
+        for (let o = 0; o < accum.length; o += 4) {
+            const a = accum[o + 3];
+            if (bg) {
+                pixels[o] = byte(accum[o] + bg[0] * (1 - a));
+                pixels[o + 1] = byte(accum[o + 1] + bg[1] * (1 - a));
+                pixels[o + 2] = byte(accum[o + 2] + bg[2] * (1 - a));
+                pixels[o + 3] = 255;
+            } else if (a > 0) {
+                pixels[o] = byte(accum[o] / a);
+                pixels[o + 1] = byte(accum[o + 1] / a);
+                pixels[o + 2] = byte(accum[o + 2] / a);
+                pixels[o + 3] = byte(a);
+            }
+        }
+        return { width: W, height: H, pixels, drawn };
+    }
+}
+
+// The shader's transformCov3D, M Sigma M^T as an upper triangle. Here M is view * model,
+// so the rotation computeCov2D applies on the GPU (its W) is already folded in.
+function transformCov3D(m, cov, o) {
+    const s0 = cov[o], s1 = cov[o + 1], s2 = cov[o + 2], s3 = cov[o + 3], s4 = cov[o + 4], s5 = cov[o + 5];
+    const out = new Array(6);
+    // Rows of the 3x3 part of m (column-major) times the symmetric Sigma
+    const r = [[m[0], m[4], m[8]], [m[1], m[5], m[9]], [m[2], m[6], m[10]]];
+    const S = [[s0, s1, s2], [s1, s3, s4], [s2, s4, s5]];
+    const RS = r.map(row => [0, 1, 2].map(c => row[0] * S[0][c] + row[1] * S[1][c] + row[2] * S[2][c]));
+    const at = (i, j) => RS[i][0] * r[j][0] + RS[i][1] * r[j][1] + RS[i][2] * r[j][2];
+    out[0] = at(0, 0); out[1] = at(0, 1); out[2] = at(0, 2);
+    out[3] = at(1, 1); out[4] = at(1, 2); out[5] = at(2, 2);
+    return out;
+}
+
+// The shader's computeCov2D (EWA Jacobian, 1.3x frustum clamp, 0.3px low-pass) on a view-space center
+function computeCov2D(tx, ty, tz, V, focal_x, focal_y, tan_fovx, tan_fovy) {
+    const limx = 1.3 * tan_fovx, limy = 1.3 * tan_fovy;
+    tx = Math.min(limx, Math.max(-limx, tx / tz)) * tz;
+    ty = Math.min(limy, Math.max(-limy, ty / tz)) * tz;
+    const j00 = focal_x / tz, j02 = -(focal_x * tx) / (tz * tz);
+    const j11 = focal_y / tz, j12 = -(focal_y * ty) / (tz * tz);
+    // J V J^T for J = [[j00, 0, j02], [0, j11, j12]]
+    const v00 = V[0], v01 = V[1], v02 = V[2], v11 = V[3], v12 = V[4], v22 = V[5];
+    const a = j00 * (j00 * v00 + j02 * v02) + j02 * (j00 * v02 + j02 * v22);
+    const b = j00 * (j11 * v01 + j12 * v02) + j02 * (j11 * v12 + j12 * v22);
+    const c = j11 * (j11 * v11 + j12 * v12) + j12 * (j11 * v12 + j12 * v22);
+    return [a + 0.3, b, c + 0.3];
+}
+
+// The shader's evalSH(): degrees 1-3 on top of the DC color
+function evalSH(sh, o, degree, x, y, z) {
+    const basis = [-0.4886025119029199 * y, 0.4886025119029199 * z, -0.4886025119029199 * x];
+    if (degree > 1) {
+        const xx = x * x, yy = y * y, zz = z * z;
+        basis.push(1.0925484305920792 * x * y, -1.0925484305920792 * y * z, 0.31539156525252005 * (2 * zz - xx - yy),
+            -1.0925484305920792 * x * z, 0.5462742152960396 * (xx - yy));
+        if (degree > 2) {
+            basis.push(-0.5900435899266435 * y * (3 * xx - yy), 2.890611442640554 * x * y * z,
+                -0.4570457994644658 * y * (4 * zz - xx - yy), 0.3731763325901154 * z * (2 * zz - 3 * xx - 3 * yy),
+                -0.4570457994644658 * x * (4 * zz - xx - yy), 1.445305721320277 * z * (xx - yy),
+                -0.5900435899266435 * x * (xx - 3 * yy));
+        }
+    }
+    const out = [0, 0, 0];
+    for (let k = 0; k < SH_COEFFS[degree]; k++) {
+        for (let c = 0; c < 3; c++) out[c] += basis[k] * sh[o + k * 3 + c];
+    }
+    return out;
+}
+
+// three's Matrix4.lookAt + inverse for a camera: world -> view, column-major
+function lookAt(eye, target, up) {
+    const norm = v => { const l = Math.hypot(...v) || 1; return v.map(c => c / l); };
+    const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    const z = norm(eye.map((v, k) => v - target[k]));
+    let x = cross(up, z);
+    if (Math.hypot(...x) === 0) x = cross(up, [z[0] + 1e-4, z[1], z[2]]); // looking along up
+    x = norm(x);
+    const y = cross(z, x);
+    const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    return [x[0], y[0], z[0], 0, x[1], y[1], z[1], 0, x[2], y[2], z[2], 0, -dot(x, eye), -dot(y, eye), -dot(z, eye), 1];
+}
+
+function multiply(a, b) {
+    const out = new Array(16);
+    for (let c = 0; c < 4; c++) {
+        for (let r = 0; r < 4; r++) {
+            out[c * 4 + r] = a[r] * b[c * 4] + a[4 + r] * b[c * 4 + 1] + a[8 + r] * b[c * 4 + 2] + a[12 + r] * b[c * 4 + 3];
+        }
+    }
+    return out;
+}
+
+// Inverse of a column-major affine matrix (3x3 part by cofactors)
+function invertAffine(m) {
+    const [a, b, c, d, e, f, g, h, i] = [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]];
+    const A = e * i - f * h, B = f * g - d * i, C = d * h - e * g;
+    const det = a * A + b * B + c * C;
+    const inv = [A, c * h - b * i, b * f - c * e, B, a * i - c * g, c * d - a * f, C, b * g - a * h, a * e - b * d].map(v => v / det);
+    const out = [inv[0], inv[3], inv[6], 0, inv[1], inv[4], inv[7], 0, inv[2], inv[5], inv[8], 0, 0, 0, 0, 1];
+    const t = transformPoint(out, [m[12], m[13], m[14]]);
+    out[12] = -t[0]; out[13] = -t[1]; out[14] = -t[2];
+    return out;
+}
+
+function transformPoint(m, p) {
+    return [0, 1, 2].map(r => m[r] * p[0] + m[4 + r] * p[1] + m[8 + r] * p[2] + m[12 + r]);
+}
+
+/**
+ * RGBA image ({ width, height, pixels }) -> PNG file as an ArrayBuffer.
+ * zlib via CompressionStream('deflate') (browsers, Node 18+).
+ */
+export async function toPNG({ width, height, pixels }) {
+    // Filter type 0 per row
+    const raw = new Uint8Array(height * (width * 4 + 1));
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * width * 4, (y + 1) * width * 4), y * (width * 4 + 1) + 1);
+    }
+    const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate'));
+    const idat = new Uint8Array(await new Response(stream).arrayBuffer());
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    ihdr.set([8, 6, 0, 0, 0], 8); // 8-bit RGBA, deflate, adaptive filters, no interlace
+
+    const chunks = [['IHDR', ihdr], ['IDAT', idat], ['IEND', new Uint8Array(0)]];
+    const out = new Uint8Array(8 + chunks.reduce((sum, [, data]) => sum + 12 + data.length, 0));
+    out.set(PNG_SIGNATURE);
+    const dv = new DataView(out.buffer);
+    let o = 8;
+    for (const [type, data] of chunks) {
+        dv.setUint32(o, data.length);
+        for (let k = 0; k < 4; k++) out[o + 4 + k] = type.charCodeAt(k);
+        out.set(data, o + 8);
+        dv.setUint32(o + 8 + data.length, crc32(out.subarray(o + 4, o + 8 + data.length)));
+        o += 12 + data.length;
+    }
+    return out.buffer;
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
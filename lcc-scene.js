@@ -0,0 +1,99 @@
+/**
+ * LCC Scene
+ * Several LCC datasets (e.g. scan sessions of one site) in one GaussianSplatRenderer,
+ * each with its own transform and visibility, composited through one depth sort
+ */
+
+import * as THREE from 'three';
+import { LCCLoader } from './lcc-loader.js';
+import { LCCStreamingManager } from './lcc-streaming.js';
+
+/**
+ * One dataset. position / rotation / scale (or matrix) place its LCC coordinates
+ * in the scene LCC, i.e. the splat mesh's local space; visible hides it.
+ * Takes chunks like GaussianSplatRenderer, so an LCCStreamingManager can feed it.
+ */
+export class SplatObject extends THREE.Object3D {
+    constructor(id) {
+        super();
+        this.name = String(id);
+        this.chunks = new Map(); // id -> decoded splat data
+        this.owner = null;       // GaussianSplatRenderer, set by addObject()
+        this.slot = null;        // its object slot in that renderer, likewise
+        this.loader = null;      // LCCLoader and LCCStreamingManager when loaded by SplatScene
+        this.streaming = null;
+    }
+
+    addChunk(id, data) {
+        this.chunks.set(id, data);
+        if (this.owner) this.owner.chunksDirty = true;
+    }
+
+    removeChunk(id) {
+        if (this.chunks.delete(id) && this.owner) this.owner.chunksDirty = true;
+    }
+
+    get splatCount() {
+        let n = 0;
+        for (const c of this.chunks.values()) n += c.splatCount;
+        return n;
+    }
+}
+
+export class SplatScene {
+    constructor(splatRenderer) {
+        this.splatRenderer = splatRenderer;
+        this.objects = new Map(); // id -> SplatObject, in the order they were added
+    }
+
+    /**
+     * Add a dataset. options.input (URL or source, as for LCCLoader.loadMeta) streams
+     * it through its own LCCLoader (options.loader) and LCCStreamingManager
+     * (options.streaming, whose budgets are per dataset). Without input the object
+     * starts empty for addChunk(). options.matrix: column-major array or Matrix4,
+     * object LCC -> scene LCC (e.g. CoordinateSystem.matrixTo()); options.visible.
+     */
+    async add(id, options = {}) {
+        if (this.objects.has(id)) throw new Error(`Dataset "${id}" already exists`);
+        const object = new SplatObject(id);
+        if (options.matrix) object.applyMatrix4(options.matrix.isMatrix4 ? options.matrix : new THREE.Matrix4().fromArray(options.matrix));
+        object.visible = options.visible ?? true;
+        this.splatRenderer.addObject(object);
+        this.objects.set(id, object);
+
+        if (options.input) {
+            object.loader = new LCCLoader(options.loader);
+            object.streaming = new LCCStreamingManager(object.loader, object, options.streaming);
+            try {
+                await object.streaming.init(options.input);
+            } catch (e) {
+                this.remove(id);
+                throw e;
+            }
+        }
+        return object;
+    }
+
+    get(id) {
+        return this.objects.get(id);
+    }
+
+    remove(id) {
+        const object = this.objects.get(id);
+        if (!object) return;
+        object.streaming?.dispose();
+        object.loader?.dispose();
+        this.splatRenderer.removeObject(object);
+        this.objects.delete(id);
+    }
+
+    // Streams every dataset, then sorts and draws them together
+    update(camera) {
+        for (const object of this.objects.values()) object.streaming?.update(camera);
+        this.splatRenderer.update(camera);
+    }
+
+    dispose() {
+        for (const id of [...this.objects.keys()]) this.remove(id);
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * LCC Byte Sources
+ * Where LCCLoader reads meta.lcc / index.bin / data.bin / ... from.
+ *
+ * A source implements:
+ *   metaName                       name of the .lcc metadata file
+ *   size(name)                  -> Promise<number>
+ *   readRange(name, start, end) -> Promise<ArrayBuffer>   (end exclusive, like Blob.slice)
+ *   read(name)                  -> Promise<ArrayBuffer>   (whole file)
+ *   stream(name, start, end)    -> Promise<ReadableStream<Uint8Array>>   (optional, see readStream)
+ * File names are matched case-insensitively where the backend allows it
+ * (the spec writes Index.bin / Data.bin, exports often use lower case).
+ */
+
+const DEFAULT_FULL_DOWNLOAD_CAP = 256 * 1048576;
+
+const READ_CHUNK_BYTES = 4 * 1048576;
+
+const baseName = name => name.split('/').pop().toLowerCase();
+
+const bufferStream = buffer => new Blob([buffer]).stream();
+
+/**
+ * HTTP(S) with Range requests. A server that ignores Range is an error unless
+ * allowFullDownload is set, and even then the file must fit maxFullDownloadBytes.
+ */
+export class HttpSource {
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl.replace(/\/?$/, '/');
+        this.metaName = options.metaName ?? 'meta.lcc';
+        this.allowFullDownload = options.allowFullDownload ?? false;
+        this.maxFullDownloadBytes = options.maxFullDownloadBytes ?? DEFAULT_FULL_DOWNLOAD_CAP;
+        this.fetchOptions = { mode: 'cors', ...options.fetchOptions };
+        this.fullFiles = new Map(); // name -> Promise<ArrayBuffer> of an opted-in full download, shared by concurrent reads
+        this.id = this.baseUrl + this.metaName;
+    }
+
+    // A URL to a .lcc file or to the scan folder
+    static fromUrl(url, options = {}) {
+        if (/\.lcc(\?.*)?$/i.test(url)) {
+            const path = url.split('?')[0];
+            const slash = path.lastIndexOf('/') + 1;
+            return new HttpSource(path.substring(0, slash), { ...options, metaName: path.substring(slash) });
+        }
+        return new HttpSource(url, options);
+    }
+
+    url(name) {
+        return this.baseUrl + name;
+    }
+
+    async size(name) {
+        if (this.fullFiles.has(name)) return (await this.fullFiles.get(name)).byteLength;
+        const response = await fetch(this.url(name), { ...this.fetchOptions, method: 'HEAD' });
+        if (!response.ok) throw new Error(`${name}: HTTP ${response.status}`);
+        const length = response.headers.get('Content-Length');
+        if (length !== null) return Number(length);
+
+        // No Content-Length on HEAD: ask for one byte and read the total from Content-Range
+        const probe = await fetch(this.url(name), { ...this.fetchOptions, headers: { 'Range': 'bytes=0-0' } });
+        probe.body?.cancel();
+        const total = probe.headers.get('Content-Range')?.split('/')[1];
+        if (!total || total === '*') throw new Error(`${name}: server reports no size`);
+        return Number(total);
+    }
+
+    async read(name) {
+        if (this.fullFiles.has(name)) return this.fullFiles.get(name);
+        const response = await fetch(this.url(name), this.fetchOptions);
+        if (!response.ok) throw new Error(`${name}: HTTP ${response.status}`);
+        return response.arrayBuffer();
+    }
+
+    async readRange(name, start, end) {
+        if (end <= start) return new ArrayBuffer(0);
+        const response = await this.rangeResponse(name, start, end);
+        return response instanceof ArrayBuffer ? response : response.arrayBuffer();
+    }
+
+    async stream(name, start, end) {
+        if (end <= start) return bufferStream(new ArrayBuffer(0));
+        const response = await this.rangeResponse(name, start, end);
+        return response instanceof ArrayBuffer ? bufferStream(response) : response.body;
+    }
+
+    // A 206 Response, or the requested bytes from an opted-in full download
+    async rangeResponse(name, start, end) {
+        if (this.fullFiles.has(name)) return (await this.fullFiles.get(name)).slice(start, end);
+
+        const response = await fetch(this.url(name), {
+            ...this.fetchOptions,
+            headers: { ...this.fetchOptions.headers, 'Range': `bytes=${start}-${end - 1}` }
+        });
+        if (response.status === 206) return response;
+        if (!response.ok) throw new Error(`${name}: HTTP ${response.status}`);
+
+        // 200: the server ignored Range and is sending the whole file
+        const length = Number(response.headers.get('Content-Length') ?? NaN);
+        if (!this.allowFullDownload) {
+            response.body?.cancel();
+            throw new Error(`${name}: server ignored the Range request` +
+                (isNaN(length) ? '' : ` (full file is ${(length / 1048576).toFixed(1)}MB)`) +
+                '; set allowFullDownload to download it anyway');
+        }
+        if (!(length <= this.maxFullDownloadBytes)) {
+            response.body?.cancel();
+            throw new Error(`${name}: server ignored the Range request and the file ` +
+                (isNaN(length) ? 'size is unknown' : `(${(length / 1048576).toFixed(1)}MB) exceeds maxFullDownloadBytes`));
+        }
+        // Another read may have started the download while this request was in flight
+        if (this.fullFiles.has(name)) {
+            response.body?.cancel();
+        } else {
+            const full = response.arrayBuffer();
+            this.fullFiles.set(name, full);
+            full.catch(() => this.fullFiles.delete(name));
+        }
+        return (await this.fullFiles.get(name)).slice(start, end);
+    }
+}
+
+/**
+ * Browser File objects: an <input type="file" multiple/webkitdirectory>
+ * FileList, files dropped on the page, or a FileSystemDirectoryHandle.
+ */
+export class FileSource {
+    constructor(files) {
+        this.files = new Map();
+        for (const file of files) this.files.set(baseName(file.webkitRelativePath || file.name), file);
+        this.metaName = [...this.files.keys()].find(n => n.endsWith('.lcc'));
+        if (!this.metaName) throw new Error('No .lcc metadata file among the selected files');
+        this.id = `files:${[...this.files.values()].map(f => `${f.name}:${f.size}:${f.lastModified}`).join('|')}`;
+    }
+
+    static async fromDirectoryHandle(handle) {
+        const files = [];
+        for await (const entry of handle.values()) {
+            if (entry.kind === 'file') files.push(await entry.getFile());
+        }
+        return new FileSource(files);
+    }
+
+    // Folder or files dropped on the page (Chromium handles, then the older entry API).
+    // DataTransfer empties once the drop event returns, so everything is taken up front.
+    static async fromDataTransfer(dataTransfer) {
+        const items = [...dataTransfer.items].filter(i => i.kind === 'file');
+        const pendingHandles = items.map(i => i.getAsFileSystemHandle?.() ?? null);
+        const entries = items.map(i => i.webkitGetAsEntry?.() ?? null);
+        const files = [...dataTransfer.files];
+
+        const dir = (await Promise.all(pendingHandles)).find(h => h?.kind === 'directory');
+        if (dir) return FileSource.fromDirectoryHandle(dir);
+
+        const entry = entries.find(e => e?.isDirectory);
+        if (entry) {
+            const reader = entry.createReader();
+            const children = [];
+            for (let batch; (batch = await new Promise((res, rej) => reader.readEntries(res, rej))).length;) children.push(...batch);
+            return new FileSource(await Promise.all(children.filter(e => e.isFile).map(e => new Promise((res, rej) => e.file(res, rej)))));
+        }
+        return new FileSource(files);
+    }
+
+    file(name) {
+        const file = this.files.get(baseName(name));
+        if (!file) throw new Error(`${name} not found`);
+        return file;
+    }
+
+    async size(name) {
+        return this.file(name).size;
+    }
+
+    async read(name) {
+        return this.file(name).arrayBuffer();
+    }
+
+    async readRange(name, start, end) {
+        return this.file(name).slice(start, end).arrayBuffer();
+    }
+
+    async stream(name, start, end) {
+        return this.file(name).slice(start, end).stream();
+    }
+}
+
+/**
+ * Local filesystem in Node (node:fs is only imported when used)
+ */
+export class NodeFileSource {
+    constructor(path, options = {}) {
+        const isLccFile = /\.lcc$/i.test(path);
+        this.dir = isLccFile ? path.substring(0, Math.max(0, path.replace(/\\/g, '/').lastIndexOf('/'))) || '.' : path;
+        this.metaName = isLccFile ? path.replace(/\\/g, '/').split('/').pop() : options.metaName ?? 'meta.lcc';
+        this.handles = new Map();
+        this.names = null;
+        this.id = `${this.dir}/${this.metaName}`;
+    }
+
+    async resolve(name) {
+        const [{ readdir }, { join }] = await Promise.all([import('node:fs/promises'), import('node:path')]);
+        this.names ??= await readdir(this.dir);
+        const match = this.names.find(f => f === name) ?? this.names.find(f => f.toLowerCase() === name.toLowerCase());
+        if (!match) throw new Error(`${name} not found in ${this.dir}`);
+        return join(this.dir, match);
+    }
+
+    async handle(name) {
+        if (!this.handles.has(name)) {
+            const { open } = await import('node:fs/promises');
+            this.handles.set(name, this.resolve(name).then(file => open(file, 'r')));
+        }
+        return this.handles.get(name);
+    }
+
+    async size(name) {
+        return (await (await this.handle(name)).stat()).size;
+    }
+
+    async read(name) {
+        return this.readRange(name, 0, await this.size(name));
+    }
+
+    async readRange(name, start, end) {
+        const buffer = new Uint8Array(end - start);
+        const fh = await this.handle(name);
+        let done = 0;
+        while (done < buffer.length) {
+            const { bytesRead } = await fh.read(buffer, done, buffer.length - done, start + done);
+            if (bytesRead === 0) throw new Error(`${name}: unexpected end of file at ${start + done}`);
+            done += bytesRead;
+        }
+        return buffer.buffer;
+    }
+
+    async close() {
+        await Promise.all([...this.handles.values()].map(async h => (await h).close()));
+        this.handles.clear();
+    }
+}
+
+/**
+ * A zip archive holding the LCC folder, read through another source
+ * (HttpSource with Range, FileSource, NodeFileSource). Stored entries are
+ * range-read in place; deflated entries are inflated whole on first use,
+ * up to maxInflateBytes. Supports ZIP64 for multi-GB data.bin.
+ */
+export class ZipSource {
+    constructor(source, zipName, options = {}) {
+        this.source = source;
+        this.zipName = zipName;
+        this.maxInflateBytes = options.maxInflateBytes ?? DEFAULT_FULL_DOWNLOAD_CAP;
+        this.entries = null;   // basename -> { method, offset, compressedSize, size, dataOffset }
+        this.inflated = new Map();
+        this.metaName = null;
+        this.id = `zip:${source.id}/${zipName}`;
+    }
+
+    static async open(source, zipName, options) {
+        const zip = new ZipSource(source, zipName, options);
+        await zip.readDirectory();
+        return zip;
+    }
+
+    async readDirectory() {
+        const zipSize = await this.source.size(this.zipName);
+        const tailSize = Math.min(zipSize, 65557);
+        const tail = new DataView(await this.source.readRange(this.zipName, zipSize - tailSize, zipSize));
+
+        // End of central directory record
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+        }
+        if (eocd < 0) throw new Error(`${this.zipName}: not a zip archive`);
+        let count = tail.getUint16(eocd + 10, true);
+        let cdSize = tail.getUint32(eocd + 12, true);
+        let cdOffset = tail.getUint32(eocd + 16, true);
+
+        // ZIP64 end of central directory, via its locator right before the EOCD
+        if (cdOffset === 0xFFFFFFFF || count === 0xFFFF) {
+            const locator = eocd - 20;
+            if (locator < 0 || tail.getUint32(locator, true) !== 0x07064b50) throw new Error(`${this.zipName}: missing ZIP64 locator`);
+            const z64Offset = Number(tail.getBigUint64(locator + 8, true));
+            const z64 = new DataView(await this.source.readRange(this.zipName, z64Offset, z64Offset + 56));
+            count = Number(z64.getBigUint64(32, true));
+            cdSize = Number(z64.getBigUint64(40, true));
+            cdOffset = Number(z64.getBigUint64(48, true));
+        }
+
+        const cd = new DataView(await this.source.readRange(this.zipName, cdOffset, cdOffset + cdSize));
+        const decoder = new TextDecoder();
+        const entries = new Map();
+        let o = 0;
+        for (let e = 0; e < count; e++) {
+            if (cd.getUint32(o, true) !== 0x02014b50) throw new Error(`${this.zipName}: corrupt central directory`);
+            const method = cd.getUint16(o + 10, true);
+            let compressedSize = cd.getUint32(o + 20, true);
+            let size = cd.getUint32(o + 24, true);
+            const nameLen = cd.getUint16(o + 28, true), extraLen = cd.getUint16(o + 30, true), commentLen = cd.getUint16(o + 32, true);
+            let offset = cd.getUint32(o + 42, true);
+            const name = decoder.decode(new Uint8Array(cd.buffer, cd.byteOffset + o + 46, nameLen));
+
+            // ZIP64 extended information: only the fields that overflowed, in this order
+            for (let x = o + 46 + nameLen; x < o + 46 + nameLen + extraLen;) {
+                const id = cd.getUint16(x, true), len = cd.getUint16(x + 2, true);
+                if (id === 0x0001) {
+                    let f = x + 4;
+                    if (size === 0xFFFFFFFF) { size = Number(cd.getBigUint64(f, true)); f += 8; }
+                    if (compressedSize === 0xFFFFFFFF) { compressedSize = Number(cd.getBigUint64(f, true)); f += 8; }
+                    if (offset === 0xFFFFFFFF) offset = Number(cd.getBigUint64(f, true));
+                }
+                x += 4 + len;
+            }
+            if (!name.endsWith('/')) entries.set(baseName(name), { name, method, offset, compressedSize, size, dataOffset: null });
+            o += 46 + nameLen + extraLen + commentLen;
+        }
+
+        this.entries = entries;
+        this.metaName = [...entries.keys()].find(n => n.endsWith('.lcc'));
+        if (!this.metaName) throw new Error(`${this.zipName}: no .lcc metadata file in archive`);
+    }
+
+    entry(name) {
+        const entry = this.entries.get(baseName(name));
+        if (!entry) throw new Error(`${name} not found in ${this.zipName}`);
+        if (entry.method !== 0 && entry.method !== 8) throw new Error(`${name}: unsupported zip compression method ${entry.method}`);
+        return entry;
+    }
+
+    // Data starts after the local header, whose name/extra lengths can differ from the central directory's
+    async dataOffset(entry) {
+        if (entry.dataOffset === null) {
+            const local = new DataView(await this.source.readRange(this.zipName, entry.offset, entry.offset + 30));
+            if (local.getUint32(0, true) !== 0x04034b50) throw new Error(`${entry.name}: corrupt local header`);
+            entry.dataOffset = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        }
+        return entry.dataOffset;
+    }
+
+    async inflate(entry) {
+        if (!this.inflated.has(entry.name)) {
+            if (entry.size > this.maxInflateBytes) {
+                throw new Error(`${entry.name}: deflated entry (${(entry.size / 1048576).toFixed(1)}MB) exceeds maxInflateBytes; store data files uncompressed for ranged reads`);
+            }
+            const start = await this.dataOffset(entry);
+            const compressed = await this.source.readRange(this.zipName, start, start + entry.compressedSize);
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            this.inflated.set(entry.name, new Response(stream).arrayBuffer());
+        }
+        return this.inflated.get(entry.name);
+    }
+
+    async size(name) {
+        return this.entry(name).size;
+    }
+
+    async read(name) {
+        return this.readRange(name, 0, this.entry(name).size);
+    }
+
+    async readRange(name, start, end) {
+        const entry = this.entry(name);
+        if (entry.method === 8) return (await this.inflate(entry)).slice(start, end);
+        const base = await this.dataOffset(entry);
+        return this.source.readRange(this.zipName, base + start, base + Math.min(end, entry.size));
+    }
+
+    async stream(name, start, end) {
+        const entry = this.entry(name);
+        if (entry.method === 8 || !this.source.stream) return bufferStream(await this.readRange(name, start, end));
+        const base = await this.dataOffset(entry);
+        return this.source.stream(this.zipName, base + start, base + Math.min(end, entry.size));
+    }
+}
+
+/**
+ * A single Blob/File holding one archive (e.g. a dropped .zip), for ZipSource to read through
+ */
+export class BlobSource {
+    constructor(blob) {
+        this.blob = blob;
+        this.id = `blob:${blob.name ?? ''}:${blob.size}:${blob.lastModified ?? ''}`;
+    }
+
+    async size() {
+        return this.blob.size;
+    }
+
+    async read() {
+        return this.blob.arrayBuffer();
+    }
+
+    async readRange(name, start, end) {
+        return this.blob.slice(start, end).arrayBuffer();
+    }
+
+    async stream(name, start, end) {
+        return this.blob.slice(start, end).stream();
+    }
+}
+
+/**
+ * Bytes [start, end) of a file as they arrive: the source's ReadableStream
+ * when it has one, otherwise readRange in READ_CHUNK_BYTES pieces
+ */
+export async function* readStream(source, name, start, end) {
+    if (!source.stream) {
+        for (let at = start; at < end; at += READ_CHUNK_BYTES) {
+            yield new Uint8Array(await source.readRange(name, at, Math.min(end, at + READ_CHUNK_BYTES)));
+        }
+        return;
+    }
+    const reader = (await source.stream(name, start, end)).getReader();
+    let done = false;
+    try {
+        for (let r; !(done = (r = await reader.read()).done);) yield r.value;
+    } finally {
+        if (!done) reader.cancel();
+    }
+}
+
+/**
+ * Pick a source for a URL string, .zip File, FileList/File[] or directory handle
+ */
+export async function openSource(input, options = {}) {
+    if (typeof input === 'string') {
+        if (/\.zip(\?.*)?$/i.test(input)) {
+            const path = input.split('?')[0];
+            const slash = path.lastIndexOf('/') + 1;
+            return ZipSource.open(new HttpSource(path.substring(0, slash), options), path.substring(slash), options);
+        }
+        return HttpSource.fromUrl(input, options);
+    }
+    if (input?.kind === 'directory') return FileSource.fromDirectoryHandle(input);
+    const files = input instanceof Blob ? [input] : [...input];
+    if (files.length === 1 && /\.zip$/i.test(files[0].name)) {
+        return ZipSource.open(new BlobSource(files[0]), files[0].name, options);
+    }
+    return new FileSource(files);
+}
@@ -0,0 +1,233 @@
+/**
+ * LCC Spatial Streaming
+ * Picks an LOD per index.bin grid cell from camera distance + frustum,
+ * fetches cells with Range requests and swaps them into a GaussianSplatRenderer
+ * (or a SplatObject from lcc-scene.js, which takes chunks the same way)
+ */
+
+import * as THREE from 'three';
+
+const cellKey = (x, y) => `${x},${y}`;
+const Z_UP_TO_Y_UP = new THREE.Matrix4().makeRotationX(-Math.PI / 2); // the renderer's default mesh transform
+
+export class LCCStreamingManager extends THREE.EventDispatcher {
+    constructor(loader, splatRenderer, options = {}) {
+        super();
+        this.loader = loader;
+        this.splatRenderer = splatRenderer;
+        this.maxSplats = options.maxSplats ?? 3e6;       // budget in resident splats
+        this.maxBytes = options.maxBytes ?? Infinity;    // budget in resident data.bin bytes
+        this.minLOD = options.minLOD ?? 0;               // finest LOD ever requested
+        this.maxLOD = options.maxLOD ?? null;            // coarsest LOD (default: last level)
+        this.lodDistance = options.lodDistance ?? null;  // distance per LOD step (default: cell diagonal)
+        this.hiddenLODBias = options.hiddenLODBias ?? 2; // extra LOD steps for cells outside the frustum
+        this.maxConcurrent = options.maxConcurrent ?? 2;
+        this.updateInterval = options.updateInterval ?? 250;
+        this.retryDelay = options.retryDelay ?? 5000;
+        this.progressive = options.progressive ?? true;  // show a cell's decoded prefix while it loads
+        this.progressiveInterval = options.progressiveInterval ?? 200; // ms between partial updates / stats
+
+        this.cells = [];
+        this.ranked = [];
+        this.resident = new Map(); // key -> { cell, lod, splatCount, bytes }, bytes of data.bin as in maxBytes
+        this.pending = new Map();  // key -> { cell, lod, bytes, received }
+        this.desired = new Map();  // key -> lod
+        this.failed = new Map();   // key -> time of last failure
+        this.bytesInFlight = 0;    // bytes requested but not yet finished (data.bin + shcoef.bin)
+        this.lastUpdate = -Infinity;
+        this.lastStats = -Infinity;
+        this.disposed = false;
+
+        this.frustum = new THREE.Frustum();
+        this.projScreen = new THREE.Matrix4();
+        this.box = new THREE.Box3();
+    }
+
+    // input: URL or source, as for LCCLoader.loadMeta
+    async init(input) {
+        await this.loader.loadMeta(input);
+        this.cells = await this.loader.loadIndex();
+        const meta = this.loader.meta;
+        if (this.maxLOD === null) this.maxLOD = (meta.totalLevel ?? meta.splats.length) - 1;
+        if (this.lodDistance === null) this.lodDistance = Math.hypot(meta.cellLengthX, meta.cellLengthY);
+        return this.cells;
+    }
+
+    // Call every frame; work is throttled to updateInterval
+    update(camera) {
+        const now = performance.now();
+        if (this.disposed || !this.cells.length || now - this.lastUpdate < this.updateInterval) return;
+        this.lastUpdate = now;
+
+        this.chooseLODs(camera);
+
+        // Evict cells that fell out of the budget entirely
+        for (const key of [...this.resident.keys()]) {
+            if (!this.desired.has(key)) this.evict(key);
+        }
+
+        this.schedule();
+    }
+
+    chooseLODs(camera) {
+        camera.updateMatrixWorld();
+        this.projScreen.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.frustum.setFromProjectionMatrix(this.projScreen);
+
+        // Score every cell: visible + near first
+        const ranked = [];
+        for (const cell of this.cells) {
+            const { min, max } = cell.bounds;
+            // Cell bounds are LCC; the splat mesh's (or SplatObject's) transform places them in the world
+            this.box.min.fromArray(min);
+            this.box.max.fromArray(max);
+            this.box.applyMatrix4((this.splatRenderer.mesh ?? this.splatRenderer).matrixWorld ?? Z_UP_TO_Y_UP);
+            const dist = this.box.distanceToPoint(camera.position);
+            const visible = this.frustum.intersectsBox(this.box);
+            let lod = this.minLOD + Math.floor(Math.log2(1 + dist / this.lodDistance));
+            if (!visible) lod += this.hiddenLODBias;
+            lod = Math.min(this.maxLOD, lod);
+            ranked.push({ cell, dist, visible, lod });
+        }
+        ranked.sort((a, b) => (b.visible - a.visible) || (a.dist - b.dist));
+
+        // Coarsen the lowest-priority cells until under budget, then drop them
+        const overBudget = t => t.splats > this.maxSplats || t.bytes > this.maxBytes;
+        const t = { splats: 0, bytes: 0 };
+        for (const r of ranked) {
+            t.splats += r.cell.lods[r.lod].count;
+            t.bytes += r.cell.lods[r.lod].size;
+        }
+        for (let pass = this.minLOD; overBudget(t) && pass < this.maxLOD; pass++) {
+            for (let i = ranked.length - 1; i >= 0 && overBudget(t); i--) {
+                const r = ranked[i];
+                if (r.lod >= this.maxLOD) continue;
+                const a = r.cell.lods[r.lod], b = r.cell.lods[r.lod + 1];
+                r.lod++;
+                t.splats += b.count - a.count;
+                t.bytes += b.size - a.size;
+            }
+        }
+        for (let i = ranked.length - 1; i >= 0 && overBudget(t); i--) {
+            const node = ranked[i].cell.lods[ranked[i].lod];
+            t.splats -= node.count;
+            t.bytes -= node.size;
+            ranked[i].lod = null;
+        }
+
+        this.desired.clear();
+        this.ranked = ranked;
+        for (const r of ranked) {
+            if (r.lod !== null && r.cell.lods[r.lod]?.count > 0) this.desired.set(cellKey(r.cell.x, r.cell.y), r.lod);
+        }
+    }
+
+    schedule() {
+        const now = performance.now();
+        for (const r of this.ranked) {
+            if (this.pending.size >= this.maxConcurrent) break;
+            const key = cellKey(r.cell.x, r.cell.y);
+            const lod = this.desired.get(key);
+            if (lod === undefined || this.pending.has(key)) continue;
+            if (this.resident.get(key)?.lod === lod) continue;
+            if (now - (this.failed.get(key) ?? -Infinity) < this.retryDelay) continue;
+            this.fetchCell(key, r.cell, lod);
+        }
+    }
+
+    async fetchCell(key, cell, lod) {
+        // loadCell() also reads 2x the data.bin range from shcoef.bin when SH is on
+        const sh = this.loader.meta.fileType === 'Quality' && this.loader.shDegree > 0;
+        const bytes = cell.lods[lod].size * (sh ? 3 : 1);
+        const job = { cell, lod, bytes, received: 0 };
+        this.pending.set(key, job);
+        this.bytesInFlight += bytes;
+        this.dispatchStats();
+
+        const onProgress = p => {
+            job.received = p * bytes;
+            if (performance.now() - this.lastStats >= this.progressiveInterval) this.dispatchStats();
+        };
+
+        // A cell with nothing on screen yet is shown as it decodes; one
+        // switching LOD keeps its old data until the new LOD is complete
+        let shown = false, lastShown = -Infinity;
+        const onPartial = this.progressive && !this.resident.has(key) ? partial => {
+            const now = performance.now();
+            if (this.disposed || !this.desired.has(key) || !partial.splatCount || now - lastShown < this.progressiveInterval) return;
+            lastShown = now;
+            shown = true;
+            this.splatRenderer.addChunk(key, partial);
+        } : null;
+
+        try {
+            const data = await this.loader.loadCell(cell.x, cell.y, lod, onProgress, onPartial);
+            if (this.disposed) return;
+            // Keep it if the cell is still wanted; the next update() refines further
+            if (this.desired.has(key)) {
+                const previous = this.resident.get(key);
+                this.splatRenderer.addChunk(key, data);
+                this.resident.set(key, { cell, lod, splatCount: data.splatCount, bytes: cell.lods[lod].size });
+                this.failed.delete(key);
+                this.dispatchEvent({ type: 'cellload', cell, lod, previousLOD: previous?.lod ?? null });
+            } else if (shown) {
+                this.splatRenderer.removeChunk(key);
+            }
+        } catch (error) {
+            if (shown && !this.disposed) this.splatRenderer.removeChunk(key);
+            this.failed.set(key, performance.now());
+            this.dispatchEvent({ type: 'error', cell, lod, error });
+        } finally {
+            this.pending.delete(key);
+            this.bytesInFlight -= bytes;
+            if (!this.disposed) {
+                this.dispatchStats();
+                this.schedule();
+            }
+        }
+    }
+
+    evict(key) {
+        const entry = this.resident.get(key);
+        if (!entry) return;
+        this.splatRenderer.removeChunk(key);
+        this.resident.delete(key);
+        this.dispatchEvent({ type: 'cellevict', cell: entry.cell, lod: entry.lod });
+        this.dispatchStats();
+    }
+
+    getStats() {
+        const lodPerCell = {};
+        let splatsResident = 0, bytesResident = 0, bytesReceived = 0;
+        for (const [key, entry] of this.resident) {
+            lodPerCell[key] = entry.lod;
+            splatsResident += entry.splatCount;
+            bytesResident += entry.bytes;
+        }
+        for (const job of this.pending.values()) bytesReceived += job.received;
+        return {
+            cellsTotal: this.cells.length,
+            cellsResident: this.resident.size,
+            cellsLoading: this.pending.size,
+            cellsDesired: this.desired.size,
+            splatsResident,
+            bytesResident,
+            bytesInFlight: this.bytesInFlight,
+            bytesReceived,   // of bytesInFlight, already downloaded and decoded
+            lodPerCell
+        };
+    }
+
+    dispatchStats() {
+        this.lastStats = performance.now();
+        this.dispatchEvent({ type: 'stats', stats: this.getStats() });
+    }
+
+    dispose() {
+        this.disposed = true;
+        for (const key of [...this.resident.keys(), ...this.pending.keys()]) this.splatRenderer.removeChunk(key);
+        this.resident.clear();
+        this.pending.clear();
+        this.desired.clear();
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * LCC Tours
+ * Camera views in scan LCC coordinates, shareable as URL hashes, and keyframe
+ * tours played back along a spline. A tour can be built from a scanner
+ * trajectory (parseTrajectory) and travels as JSON.
+ */
+
+const TOUR_VERSION = 1;
+
+/**
+ * View: { position: [x,y,z], yaw, pitch, fov, lod }. position is in LCC
+ * (meta.lcc, Z-up). yaw / pitch are the viewer's YXZ euler in degrees: yaw 0
+ * looks along +Y, positive yaw turns left (about +Z), positive pitch looks up.
+ * fov is the vertical FOV in degrees; lod the finest LOD allowed, or null.
+ * toView() checks one and fills in the defaults.
+ */
+export function toView(v) {
+    const position = [...(v.position ?? [])].map(Number);
+    const view = { position, yaw: Number(v.yaw ?? 0), pitch: Number(v.pitch ?? 0), fov: Number(v.fov ?? 70), lod: v.lod ?? null };
+    if (position.length !== 3 || ![...position, view.yaw, view.pitch, view.fov].every(Number.isFinite) || !(view.fov > 0 && view.fov < 180)) {
+        throw new Error(`Invalid view ${JSON.stringify(v)}`);
+    }
+    if (view.lod !== null && !(Number.isInteger(view.lod) && view.lod >= 0)) throw new Error(`Invalid view LOD ${view.lod}`);
+    return view;
+}
+
+// Degrees into (-180, 180]
+const wrap = a => a - 360 * Math.ceil((a - 180) / 360);
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+/**
+ * 'view=x,y,z,yaw,pitch,fov[,lod]' for location.hash (without the '#')
+ */
+export function viewToHash(view) {
+    const v = toView(view);
+    const values = [...v.position.map(p => p.toFixed(3)), wrap(v.yaw).toFixed(2), v.pitch.toFixed(2), v.fov.toFixed(1)];
+    if (v.lod !== null) values.push(v.lod);
+    return `view=${values.join(',')}`;
+}
+
+/**
+ * View from a location.hash written by viewToHash(), or null when it has none
+ * or it fails toView()
+ */
+export function viewFromHash(hash) {
+    const param = new URLSearchParams(hash.replace(/^#/, '')).get('view');
+    if (!param) return null;
+    const v = param.split(',').map(Number);
+    if (v.length !== 6 && v.length !== 7) return null;
+    try {
+        return toView({ position: v.slice(0, 3), yaw: v[3], pitch: v[4], fov: v[5], lod: v.length === 7 ? v[6] : null });
+    } catch (e) {
+        return null; // a hand-edited or truncated link
+    }
+}
+
+/**
+ * Keyframed camera path. Keyframes are views plus `time` (seconds from the
+ * start); sample(time) interpolates position, yaw and pitch with Catmull-Rom
+ * tangents over the keyframe times (cubic Hermite), so speed stays continuous
+ * through uneven spacing. FOV is linear and LOD steps at each keyframe.
+ * guid: meta.lcc guid of the scan the tour belongs to.
+ */
+export class CameraTour {
+    constructor(keyframes = [], options = {}) {
+        this.name = options.name ?? '';
+        this.guid = options.guid ?? null;
+        this.pace = options.pace ?? 1.5; // m/s, spaces keyframes added without a time
+        this.keyframes = [];
+        for (const k of keyframes) this.add(k, k.time);
+    }
+
+    static fromJSON(json) {
+        const o = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!Array.isArray(o.keyframes)) throw new Error('Tour JSON has no keyframes array');
+        if (o.version > TOUR_VERSION) throw new Error(`Tour version ${o.version} is newer than supported (${TOUR_VERSION})`);
+        return new CameraTour(o.keyframes, { name: o.name, guid: o.guid });
+    }
+
+    toJSON() {
+        return { version: TOUR_VERSION, name: this.name, guid: this.guid, keyframes: this.keyframes };
+    }
+
+    /**
+     * Tour through a scanner trajectory (parseTrajectory()): a keyframe every
+     * `spacing` m along the path, looking level in the direction of travel,
+     * timed at `pace` m/s. height is added to z.
+     */
+    static fromTrajectory(poses, { spacing = 2, pace = 1, height = 0, fov = 70, lod = null, name = '', guid = null } = {}) {
+        if (!poses.length) throw new Error('Trajectory is empty');
+        const points = [poses[0]];
+        let travelled = 0;
+        for (let i = 1; i < poses.length; i++) {
+            travelled += distance(poses[i].position, poses[i - 1].position);
+            if (travelled < spacing) continue;
+            points.push(poses[i]);
+            travelled = 0;
+        }
+        if (travelled > 0) points.push(poses[poses.length - 1]);
+        if (points.length < 2) throw new Error('Trajectory is too short for a tour');
+
+        const tour = new CameraTour([], { name, guid });
+        let time = 0;
+        points.forEach((p, i) => {
+            const a = points[Math.max(0, i - 1)], b = points[Math.min(points.length - 1, i + 1)];
+            const dx = b.position[0] - a.position[0], dy = b.position[1] - a.position[1];
+            if (i > 0) time += Math.max(1e-3, distance(p.position, points[i - 1].position) / pace);
+            const position = [p.position[0], p.position[1], p.position[2] + height];
+            tour.add({ position, yaw: Math.atan2(-dx, dy) * 180 / Math.PI, pitch: 0, fov, lod }, time);
+        });
+        return tour;
+    }
+
+    get duration() {
+        return this.keyframes.length ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    // time defaults to the previous keyframe's plus the distance at `pace` (at least 1 s)
+    add(view, time) {
+        const v = toView(view);
+        const last = this.keyframes[this.keyframes.length - 1];
+        time ??= last ? last.time + Math.max(1, distance(v.position, last.position) / this.pace) : 0;
+        if (!Number.isFinite(time) || (last && !(time > last.time))) throw new Error(`Keyframe time ${time} must be after ${last?.time ?? 0}`);
+        const keyframe = { time, ...v };
+        this.keyframes.push(keyframe);
+        return keyframe;
+    }
+
+    clear() {
+        this.keyframes.length = 0;
+    }
+
+    sample(time) {
+        const k = this.keyframes;
+        if (!k.length) return null;
+        if (k.length === 1) return toView(k[0]);
+        time = Math.max(0, Math.min(this.duration, time));
+        let i = 0;
+        while (i < k.length - 2 && time >= k[i + 1].time) i++;
+
+        const a = k[Math.max(0, i - 1)], b = k[i], c = k[i + 1], d = k[Math.min(k.length - 1, i + 2)];
+        const curve = (pa, pb, pc, pd) => hermite(pa, pb, pc, pd, a.time, b.time, c.time, d.time, time);
+        // Yaw unwrapped along a-b-c-d, so turns take the short way round
+        const ya = b.yaw + wrap(a.yaw - b.yaw), yc = b.yaw + wrap(c.yaw - b.yaw), yd = yc + wrap(d.yaw - c.yaw);
+        const u = (time - b.time) / (c.time - b.time);
+        return {
+            position: [0, 1, 2].map(j => curve(a.position[j], b.position[j], c.position[j], d.position[j])),
+            yaw: wrap(curve(ya, b.yaw, yc, yd)),
+            pitch: Math.max(-90, Math.min(90, curve(a.pitch, b.pitch, c.pitch, d.pitch))),
+            fov: b.fov + (c.fov - b.fov) * u,
+            lod: b.lod
+        };
+    }
+}
+
+// Segment p1 -> p2 at time t, tangents from the neighbouring keyframes
+function hermite(p0, p1, p2, p3, t0, t1, t2, t3, t) {
+    const h = t2 - t1, u = (t - t1) / h;
+    const m1 = (p2 - p0) / (t2 - t0) * h, m2 = (p3 - p1) / (t3 - t1) * h;
+    const u2 = u * u, u3 = u2 * u;
+    return (2 * u3 - 3 * u2 + 1) * p1 + (u3 - 2 * u2 + u) * m1 + (-2 * u3 + 3 * u2) * p2 + (u3 - u2) * m2;
+}
+
+/**
+ * Plays a CameraTour: call update(dt) every frame and show the view it returns.
+ * speed scales playback (2 = twice as fast); loop restarts at the end.
+ */
+export class TourPlayer {
+    constructor(tour, options = {}) {
+        this.tour = tour;
+        this.speed = options.speed ?? 1;
+        this.loop = options.loop ?? false;
+        this.time = 0;
+        this.playing = false;
+    }
+
+    // From the start once the end was reached, else from where it stopped
+    play(from = this.time >= this.tour.duration ? 0 : this.time) {
+        this.time = from;
+        this.playing = this.tour.keyframes.length > 1;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    // Advance by dt seconds; the view to show, or null when not playing
+    update(dt) {
+        if (!this.playing) return null;
+        const duration = this.tour.duration;
+        this.time += dt * this.speed;
+        if (this.time >= duration) {
+            if (this.loop) this.time %= duration;
+            else {
+                this.time = duration;
+                this.playing = false;
+            }
+        }
+        return this.tour.sample(this.time);
+    }
+}
+
+/**
+ * Scanner trajectory text -> [{ time, position }]. The LCC spec defines no
+ * trajectory file, so this reads the usual plain-text pose exports: TUM
+ * (`timestamp x y z qx qy qz qw`), bare `x y z` rows, or CSV whose header names
+ * x / y / z (or tx / ty / tz) and optionally time / timestamp columns. Fields
+ * split on commas, semicolons or whitespace; # lines are comments. Orientation
+ * columns are ignored, since sensor axes differ between devices. time is null
+ * when the rows carry none.
+ */
+export function parseTrajectory(text) {
+    const rows = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+        line = line.trim();
+        if (line && !line.startsWith('#')) rows.push({ line: i + 1, fields: line.split(/[\s,;]+/).filter(Boolean) });
+    });
+    if (!rows.length) throw new Error('Trajectory is empty');
+
+    let columns;
+    if (rows[0].fields.every(f => Number.isFinite(Number(f)))) {
+        columns = rows[0].fields.length === 3 ? { time: -1, x: 0, y: 1, z: 2 } : { time: 0, x: 1, y: 2, z: 3 };
+    } else {
+        const header = rows.shift().fields.map(f => f.toLowerCase().replace(/^"|"$/g, ''));
+        const find = (...names) => header.findIndex(h => names.includes(h));
+        columns = { time: find('time', 'timestamp', 't'), x: find('x', 'tx', 'pos_x'), y: find('y', 'ty', 'pos_y'), z: find('z', 'tz', 'pos_z') };
+        if (columns.x < 0 || columns.y < 0 || columns.z < 0) throw new Error('Trajectory header has no x / y / z columns');
+    }
+
+    return rows.map(({ line, fields }) => {
+        const v = fields.map(Number);
+        const position = [v[columns.x], v[columns.y], v[columns.z]];
+        const time = columns.time >= 0 ? v[columns.time] : null;
+        if (!position.every(Number.isFinite) || (time !== null && !Number.isFinite(time))) throw new Error(`Trajectory line ${line}: expected numbers`);
+        return { time, position };
+    });
+}
@@ -0,0 +1,312 @@
+/**
+ * LCC Validate
+ * End-to-end integrity checks for a scan: meta.lcc schema, splat totals and
+ * file sizes, index.bin ranges, and the decoded positions / rotations.
+ * Returns a JSON report; formatReport() renders it for humans.
+ */
+
+import { LCCLoader } from './lcc-loader.js';
+import { openSource } from './lcc-sources.js';
+
+const BYTES_PER_SPLAT = 32;
+const BYTES_PER_SH = 64;
+const INDEX_HEADER_BYTES = 4;
+const BYTES_PER_INDEX_LOD = 16;
+const SCAN_SPLATS = 65536;      // data.bin rows per read
+const SQRT2 = 1.414213562373095;
+const RSQRT2 = 0.7071067811865475;
+const QUANT_TOLERANCE = 0.01;   // 10-bit quaternion components are ~0.0014 apart
+
+const CHECKS = [
+    ['meta', 'meta.lcc schema'],
+    ['totals', 'Splat totals and data.bin size'],
+    ['index', 'index.bin ranges'],
+    ['shcoef', 'shcoef.bin size'],
+    ['positions', 'Finite positions'],
+    ['bounds', 'Positions inside boundingBox'],
+    ['rotations', 'Quaternions']
+];
+
+/**
+ * input: URL, or any source from lcc-sources.js (NodeFileSource in Node).
+ * options.maxMessages: examples kept per check (default 5)
+ * options.boundsTolerance: slack outside boundingBox, as a fraction of its extent (default 1e-4)
+ * options.onProgress(fraction): while data.bin is scanned
+ * Report: { ok, input, splats, checks: [{ id, title, status, problems, messages }], counts }
+ * where status is 'pass' | 'warn' | 'fail' | 'skip' and ok means no check failed.
+ */
+export async function validateLCC(input, options = {}) {
+    const maxMessages = options.maxMessages ?? 5;
+    const onProgress = options.onProgress ?? (() => {});
+    const checks = new Map(CHECKS.map(([id, title]) => [id, { id, title, status: 'pass', problems: 0, messages: [] }]));
+    const report = (id, status, message) => {
+        const check = checks.get(id);
+        if (status === 'skip') {
+            check.status = 'skip';
+        } else {
+            check.problems++;
+            if (status === 'fail' || check.status !== 'fail') check.status = status;
+        }
+        if (check.messages.length < maxMessages) check.messages.push(message);
+        else if (check.messages.length === maxMessages) check.messages.push('...');
+    };
+    const skipAll = (ids, message) => ids.forEach(id => report(id, 'skip', message));
+    const finish = () => {
+        const list = [...checks.values()];
+        const counts = { pass: 0, warn: 0, fail: 0, skip: 0 };
+        list.forEach(c => counts[c.status]++);
+        return { ok: counts.fail === 0, input: typeof input === 'string' ? input : input?.id ?? null, splats: meta?.totalSplats ?? null, checks: list, counts };
+    };
+
+    // meta.lcc
+    let source, meta = null;
+    try {
+        source = typeof input === 'string' ? await openSource(input, options.sourceOptions) : input;
+        meta = JSON.parse(new TextDecoder().decode(await source.read(source.metaName)));
+    } catch (e) {
+        report('meta', 'fail', `Cannot read meta.lcc: ${e.message}`);
+        skipAll(CHECKS.slice(1).map(([id]) => id), 'meta.lcc unreadable');
+        return finish();
+    }
+    if (!checkMeta(meta, report)) {
+        skipAll(CHECKS.slice(1).map(([id]) => id), 'meta.lcc is not usable (see above)');
+        return finish();
+    }
+    const levels = meta.totalLevel;
+    const quality = meta.fileType === 'Quality';
+
+    // Totals and file sizes
+    const [dataSize, indexSize, shSize] = await Promise.all(['data.bin', 'index.bin', 'shcoef.bin'].map(name => fileSize(source, name)));
+    if (meta.splats.length !== levels) report('totals', 'fail', `splats has ${meta.splats.length} entries, totalLevel is ${levels}`);
+    const sum = meta.splats.reduce((a, b) => a + b, 0);
+    if (sum !== meta.totalSplats) report('totals', 'fail', `splats add up to ${sum}, totalSplats is ${meta.totalSplats}`);
+    if (dataSize === null) {
+        report('totals', 'fail', 'data.bin is missing');
+    } else if (dataSize !== meta.totalSplats * BYTES_PER_SPLAT) {
+        const rows = dataSize / BYTES_PER_SPLAT;
+        report('totals', 'fail', `data.bin is ${dataSize} bytes (${Number.isInteger(rows) ? rows : rows.toFixed(2)} splats), expected ${meta.totalSplats * BYTES_PER_SPLAT} for ${meta.totalSplats}`);
+    }
+
+    // shcoef.bin rows pair up with data.bin rows
+    if (!quality) {
+        report('shcoef', 'skip', `${meta.fileType ?? 'Portable'} scan has no shcoef.bin`);
+    } else if (shSize === null) {
+        report('shcoef', 'fail', 'Quality scan without shcoef.bin');
+    } else if (shSize !== meta.totalSplats * BYTES_PER_SH) {
+        report('shcoef', 'fail', `shcoef.bin is ${shSize} bytes, expected ${meta.totalSplats * BYTES_PER_SH} for ${meta.totalSplats} splats`);
+    }
+
+    // index.bin: every node must sit inside data.bin without overlapping another
+    const loader = new LCCLoader({ workers: 0 });
+    let nodes = null;
+    if (indexSize === null) {
+        report('index', 'fail', 'index.bin is missing');
+    } else {
+        await loader.loadMeta(source);
+        const cells = loader.parseIndex(await source.read('index.bin'));
+        nodes = checkIndex(meta, cells, indexSize, dataSize, report);
+    }
+
+    // Splat rows: the index's nodes, or all of data.bin when there is no usable index
+    if (dataSize === null) {
+        skipAll(['positions', 'bounds', 'rotations'], 'data.bin is missing');
+        return finish();
+    }
+    if (!nodes) {
+        nodes = [{ offset: 0, size: Math.floor(dataSize / BYTES_PER_SPLAT) * BYTES_PER_SPLAT, where: 'data.bin' }];
+    }
+    await scanSplats(source, loader, meta, nodes, options.boundsTolerance ?? 1e-4, report, onProgress);
+    return finish();
+}
+
+// Required fields and types; false when the rest can't be checked
+function checkMeta(meta, report) {
+    const fail = message => report('meta', 'fail', message);
+    const warn = message => report('meta', 'warn', message);
+    const isCount = v => Number.isInteger(v) && v >= 0;
+    const isVec = (v, n) => Array.isArray(v) && v.length === n && v.every(Number.isFinite);
+    let usable = true;
+
+    if (typeof meta !== 'object' || meta === null || Array.isArray(meta)) {
+        fail('meta.lcc is not a JSON object');
+        return false;
+    }
+    if (!isCount(meta.totalSplats)) { fail('totalSplats must be a non-negative integer'); usable = false; }
+    if (!Number.isInteger(meta.totalLevel) || meta.totalLevel < 1) { fail('totalLevel must be a positive integer'); usable = false; }
+    if (!Array.isArray(meta.splats) || !meta.splats.every(isCount)) { fail('splats must be an array of splat counts per LOD'); usable = false; }
+    for (const key of ['cellLengthX', 'cellLengthY']) {
+        if (!(Number.isFinite(meta[key]) && meta[key] > 0)) { fail(`${key} must be a positive number`); usable = false; }
+    }
+    const bb = meta.boundingBox;
+    if (!bb || !isVec(bb.min, 3) || !isVec(bb.max, 3)) {
+        fail('boundingBox must have min and max [x, y, z]');
+        usable = false;
+    } else if (bb.min.some((v, k) => v > bb.max[k])) {
+        fail(`boundingBox min [${bb.min}] exceeds max [${bb.max}]`);
+    }
+    if (meta.indexDataSize !== undefined && Number.isInteger(meta.totalLevel)) {
+        const expected = INDEX_HEADER_BYTES + meta.totalLevel * BYTES_PER_INDEX_LOD;
+        if (!Number.isInteger(meta.indexDataSize) || meta.indexDataSize < expected) {
+            fail(`indexDataSize ${meta.indexDataSize} is smaller than ${expected} (${meta.totalLevel} LODs)`);
+            usable = false;
+        }
+    } else if (meta.indexDataSize === undefined) {
+        warn('indexDataSize is missing (derived from totalLevel)');
+    }
+
+    if (meta.fileType !== 'Portable' && meta.fileType !== 'Quality') warn(`Unknown fileType "${meta.fileType}"`);
+    if (meta.encoding !== undefined && meta.encoding !== 'COMPRESS') warn(`Unknown encoding "${meta.encoding}"`);
+    for (const key of ['version', 'guid']) {
+        if (typeof meta[key] !== 'string') warn(`${key} is missing`);
+    }
+    for (const key of ['offset', 'shift', 'scale']) {
+        if (meta[key] !== undefined && !isVec(meta[key], 3)) fail(`${key} must be [x, y, z]`);
+    }
+    if (meta.epsg !== undefined && !Number.isInteger(meta.epsg)) fail('epsg must be an integer');
+
+    // Attributes: decode ranges for the quantized fields
+    if (!Array.isArray(meta.attributes)) {
+        fail('attributes must be an array');
+        return false;
+    }
+    for (const attr of meta.attributes) {
+        if (typeof attr?.name !== 'string' || !Array.isArray(attr.min) || !Array.isArray(attr.max) || attr.min.length !== attr.max.length) {
+            fail(`Attribute ${JSON.stringify(attr?.name ?? attr)} needs a name and min / max arrays of equal length`);
+            usable = false;
+        } else if (attr.min.some((v, k) => !(v <= attr.max[k]))) {
+            fail(`Attribute "${attr.name}" min [${attr.min}] exceeds max [${attr.max}]`);
+        }
+    }
+    const names = meta.attributes.map(a => a?.name);
+    if (!names.includes('scale')) warn('No scale attribute (decoded against [-10, 10])');
+    if (meta.fileType === 'Quality' && !names.includes('shcoef')) warn('Quality scan without a shcoef attribute');
+    return usable;
+}
+
+// Node ranges against data.bin; returns the nodes worth scanning, sorted by offset
+function checkIndex(meta, cells, indexSize, dataSize, report) {
+    const levels = meta.totalLevel;
+    const recordSize = meta.indexDataSize || INDEX_HEADER_BYTES + levels * BYTES_PER_INDEX_LOD;
+    if (indexSize % recordSize) report('index', 'fail', `index.bin is ${indexSize} bytes, not a multiple of the ${recordSize}-byte record`);
+
+    const bb = meta.boundingBox;
+    const gridX = Math.max(1, Math.ceil((bb.max[0] - bb.min[0]) / meta.cellLengthX));
+    const gridY = Math.max(1, Math.ceil((bb.max[1] - bb.min[1]) / meta.cellLengthY));
+    const seen = new Set();
+    const counts = new Array(levels).fill(0);
+    const nodes = [];
+
+    for (const cell of cells) {
+        if (seen.has(cell.index)) report('index', 'fail', `Cell ${cell.x},${cell.y} is listed twice`);
+        seen.add(cell.index);
+        if (cell.x >= gridX || cell.y >= gridY) report('index', 'warn', `Cell ${cell.x},${cell.y} is outside the ${gridX}x${gridY} boundingBox grid`);
+
+        cell.lods.forEach((node, lod) => {
+            const where = `cell ${cell.x},${cell.y} LOD ${lod}`;
+            counts[lod] += node.count;
+            if (node.size !== node.count * BYTES_PER_SPLAT) {
+                report('index', 'fail', `${where}: ${node.size} bytes for ${node.count} splats`);
+                return;
+            }
+            if (node.count === 0) return;
+            if (node.offset % BYTES_PER_SPLAT) {
+                report('index', 'fail', `${where}: offset ${node.offset} is not on a 32-byte row`);
+                return;
+            }
+            if (dataSize !== null && node.offset + node.size > dataSize) {
+                report('index', 'fail', `${where}: bytes ${node.offset}-${node.offset + node.size} run past the ${dataSize}-byte data.bin`);
+                return;
+            }
+            nodes.push({ offset: node.offset, size: node.size, where });
+        });
+    }
+
+    counts.forEach((count, lod) => {
+        if (count !== meta.splats[lod]) report('index', 'fail', `LOD ${lod} cells hold ${count} splats, meta.splats says ${meta.splats[lod]}`);
+    });
+
+    // Overlaps make two cells draw the same rows; gaps are rows no cell loads
+    nodes.sort((a, b) => a.offset - b.offset);
+    let end = 0;
+    const kept = [];
+    for (const node of nodes) {
+        const prev = kept[kept.length - 1];
+        if (prev && node.offset < end) {
+            report('index', 'fail', `${node.where} overlaps ${prev.where} (bytes ${node.offset}-${Math.min(end, node.offset + node.size)})`);
+            continue;
+        }
+        if (node.offset > end) report('index', 'warn', `data.bin bytes ${end}-${node.offset} belong to no cell`);
+        kept.push(node);
+        end = node.offset + node.size;
+    }
+    if (dataSize !== null && kept.length && end < dataSize) report('index', 'warn', `data.bin bytes ${end}-${dataSize} belong to no cell`);
+    return kept;
+}
+
+// Positions and rotations of every indexed row, read SCAN_SPLATS at a time
+async function scanSplats(source, loader, meta, nodes, tolerance, report, onProgress) {
+    const bb = meta.boundingBox;
+    const slack = [0, 1, 2].map(k => (bb.max[k] - bb.min[k]) * tolerance + 1e-6);
+    const total = nodes.reduce((sum, n) => sum + n.size / BYTES_PER_SPLAT, 0);
+    let scanned = 0;
+
+    for (const node of nodes) {
+        const rows = node.size / BYTES_PER_SPLAT;
+        for (let first = 0; first < rows; first += SCAN_SPLATS) {
+            const count = Math.min(SCAN_SPLATS, rows - first);
+            const view = new DataView(await source.readRange('data.bin', node.offset + first * BYTES_PER_SPLAT, node.offset + (first + count) * BYTES_PER_SPLAT));
+            for (let s = 0; s < count; s++) {
+                const o = s * BYTES_PER_SPLAT;
+                const where = `${node.where} row ${first + s}`;
+                const p = [view.getFloat32(o, true), view.getFloat32(o + 4, true), view.getFloat32(o + 8, true)];
+                if (!p.every(Number.isFinite)) {
+                    report('positions', 'fail', `${where}: position (${p.join(', ')})`);
+                } else if (p.some((v, k) => v < bb.min[k] - slack[k] || v > bb.max[k] + slack[k])) {
+                    report('bounds', 'warn', `${where}: (${p.map(v => +v.toFixed(3)).join(', ')}) is outside the boundingBox`);
+                }
+                checkRotation(loader, view.getUint32(o + 22, true), where, report);
+            }
+            scanned += count;
+            onProgress(scanned / total);
+        }
+    }
+}
+
+// Smallest-three: the three stored components are at most 1/sqrt(2) and the
+// dropped one is the largest. Stored ones summing past 1 leave nothing for it,
+// so decodeRotation() returns a different rotation than was encoded.
+function checkRotation(loader, enc, where, report) {
+    const q = loader.decodeRotation(enc);
+    const length = Math.hypot(...q);
+    if (!q.every(Number.isFinite) || Math.abs(length - 1) > 1e-3) {
+        report('rotations', 'fail', `${where}: decodeRotation() gives [${q.join(', ')}]`);
+        return;
+    }
+    const stored = [enc & 1023, (enc >> 10) & 1023, (enc >> 20) & 1023].map(v => (v / 1023) * SQRT2 - RSQRT2);
+    const sq = stored.reduce((sum, v) => sum + v * v, 0);
+    if (sq > 1 + QUANT_TOLERANCE) {
+        report('rotations', 'fail', `${where}: degenerate quaternion, stored components square-sum to ${sq.toFixed(3)}`);
+    } else if (Math.sqrt(Math.max(0, 1 - sq)) < Math.max(...stored.map(Math.abs)) - QUANT_TOLERANCE) {
+        report('rotations', 'warn', `${where}: dropped quaternion component is not the largest`);
+    }
+}
+
+async function fileSize(source, name) {
+    try {
+        return await source.size(name);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Plain-text form of a validateLCC() report
+export function formatReport(report) {
+    const lines = [`${report.input ?? 'LCC scan'}${report.splats !== null ? ` (${report.splats} splats)` : ''}`];
+    for (const check of report.checks) {
+        lines.push(`  ${check.status.toUpperCase().padEnd(4)}  ${check.title}${check.problems > 1 ? ` (${check.problems} problems)` : ''}`);
+        check.messages.forEach(m => lines.push(`          ${m}`));
+    }
+    const { pass, warn, fail, skip } = report.counts;
+    lines.push(`${report.ok ? 'OK' : 'INVALID'}: ${pass} passed, ${warn} warned, ${fail} failed${skip ? `, ${skip} skipped` : ''}`);
+    return lines.join('\n');
+}
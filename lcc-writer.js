@@ -0,0 +1,247 @@
+/**
+ * LCC (Lixel CyberColor) Format Writer
+ * Encodes decoded splats back into meta.lcc / index.bin / data.bin / shcoef.bin
+ * Data Organization Format originated from XGRIDS
+ */
+
+const BYTES_PER_SPLAT = 32;
+const BYTES_PER_SH = 64;
+const INDEX_HEADER_BYTES = 4;
+const BYTES_PER_INDEX_LOD = 16;
+const SQRT2 = 1.414213562373095;
+const RSQRT2 = 0.7071067811865475;
+
+const quantize = (v, min, max, steps) => max > min ? Math.max(0, Math.min(steps, Math.round((v - min) / (max - min) * steps))) : 0;
+
+export class LCCWriter {
+    constructor(options = {}) {
+        this.cellLengthX = options.cellLengthX ?? 30;
+        this.cellLengthY = options.cellLengthY ?? 30;
+        this.levels = options.levels ?? 1; // LODs to build when given a single splat set
+    }
+
+    /**
+     * levels: decoded splats per LOD (LOD 0 first), or one decoded set that
+     * gets subsampled into `this.levels` LODs. Same shape LCCLoader returns:
+     * { positions, colors, opacities, scales, rotations, normals?, sphericalHarmonics? }.
+     * options.meta: source meta.lcc whose guid/name/offset/shift/scale/epsg... are kept.
+     * options.clip: ClipVolumes (lcc-clipping.js); clipped splats are left out.
+     * Returns { 'meta.lcc', 'index.bin', 'data.bin', 'shcoef.bin'? }.
+     */
+    write(levels, options = {}) {
+        if (options.clip) levels = Array.isArray(levels) ? levels.map(l => options.clip.filter(l)) : options.clip.filter(levels);
+        if (!Array.isArray(levels)) levels = this.buildLODs(levels, this.levels);
+        const hasSH = levels.every(l => l.sphericalHarmonics);
+        const attributes = this.computeAttributes(levels);
+        const attrs = Object.fromEntries(attributes.map(a => [a.name, a]));
+        const bounds = attrs.position;
+
+        // Grid: cells start at boundingBox.min, stepping by cellLength
+        const grid = levels.map(l => this.assignCells(l, bounds.min));
+        const cellIds = [...new Set(grid.flatMap(g => [...g.keys()]))].sort((a, b) => a - b);
+
+        // data.bin is LOD-major (all cells of LOD 0, then LOD 1, ...) so a whole LOD is one range
+        const totalSplats = levels.reduce((sum, l) => sum + l.opacities.length, 0);
+        const data = new DataView(new ArrayBuffer(totalSplats * BYTES_PER_SPLAT));
+        const sh = hasSH ? new DataView(new ArrayBuffer(totalSplats * BYTES_PER_SH)) : null;
+        const nodes = new Map(cellIds.map(id => [id, []]));
+        let splat = 0;
+
+        levels.forEach((level, l) => {
+            for (const id of cellIds) {
+                const indices = grid[l].get(id) ?? [];
+                nodes.get(id)[l] = { count: indices.length, offset: splat * BYTES_PER_SPLAT, size: indices.length * BYTES_PER_SPLAT };
+                for (const i of indices) {
+                    this.packSplat(data, splat * BYTES_PER_SPLAT, level, i, attrs);
+                    if (sh) this.packShcoef(sh, splat * BYTES_PER_SH, level.sphericalHarmonics, i, attrs);
+                    splat++;
+                }
+            }
+        });
+
+        // index.bin: uint32 unit index, then { count, offset, size } per LOD
+        const recordSize = INDEX_HEADER_BYTES + levels.length * BYTES_PER_INDEX_LOD;
+        const index = new DataView(new ArrayBuffer(cellIds.length * recordSize));
+        cellIds.forEach((id, u) => {
+            const o = u * recordSize;
+            index.setUint32(o, id, true);
+            nodes.get(id).forEach((n, l) => {
+                const lo = o + INDEX_HEADER_BYTES + l * BYTES_PER_INDEX_LOD;
+                index.setUint32(lo, n.count, true);
+                index.setBigUint64(lo + 4, BigInt(n.offset), true);
+                index.setUint32(lo + 12, n.size, true);
+            });
+        });
+
+        const src = options.meta ?? {};
+        const meta = {
+            version: '5.0',
+            guid: src.guid ?? globalThis.crypto?.randomUUID?.().replace(/-/g, '') ?? String(Date.now()),
+            name: src.name ?? 'LCC Splats',
+            description: src.description ?? '',
+            source: src.source ?? 'lcc',
+            dataType: src.dataType ?? 'None',
+            totalSplats,
+            totalLevel: levels.length,
+            cellLengthX: this.cellLengthX,
+            cellLengthY: this.cellLengthY,
+            indexDataSize: recordSize,
+            offset: src.offset ?? [0, 0, 0],
+            epsg: src.epsg ?? 0,
+            shift: src.shift ?? [0, 0, 0],
+            scale: src.scale ?? [1, 1, 1],
+            splats: levels.map(l => l.opacities.length),
+            boundingBox: { min: bounds.min, max: bounds.max },
+            encoding: 'COMPRESS',
+            fileType: hasSH ? 'Quality' : 'Portable',
+            attributes
+        };
+
+        const files = {
+            'meta.lcc': JSON.stringify(meta, null, 2),
+            'index.bin': index.buffer,
+            'data.bin': data.buffer
+        };
+        if (sh) files['shcoef.bin'] = sh.buffer;
+        return files;
+    }
+
+    // Per-attribute min/max over every level, in meta.lcc "attributes" form
+    computeAttributes(levels) {
+        const range = (key, dims, stride = dims) => {
+            const min = new Array(dims).fill(Infinity), max = new Array(dims).fill(-Infinity);
+            for (const l of levels) {
+                const a = l[key];
+                for (let i = 0; i < a.length; i += stride) {
+                    for (let d = 0; d < dims; d++) {
+                        min[d] = Math.min(min[d], a[i + d]);
+                        max[d] = Math.max(max[d], a[i + d]);
+                    }
+                }
+            }
+            return { min: min.map(v => isFinite(v) ? v : 0), max: max.map(v => isFinite(v) ? v : 0) };
+        };
+
+        const attributes = [
+            { name: 'position', ...range('positions', 3) },
+            { name: 'normal', ...(levels.every(l => l.normals) ? range('normals', 3) : { min: [0, 0, 0], max: [0, 0, 0] }) },
+            { name: 'color', ...range('colors', 3) },
+            { name: 'opacity', ...range('opacities', 1) },
+            { name: 'scale', ...range('scales', 3) }
+        ];
+        // SH is stored per coefficient as rgb, so min/max are per channel
+        if (levels.every(l => l.sphericalHarmonics)) attributes.push({ name: 'shcoef', ...range('sphericalHarmonics', 3) });
+        return attributes;
+    }
+
+    // Map cell index (x | y << 16) -> splat indices
+    assignCells(level, origin) {
+        const cells = new Map();
+        const n = level.opacities.length;
+        for (let i = 0; i < n; i++) {
+            const x = Math.max(0, Math.floor((level.positions[i * 3] - origin[0]) / this.cellLengthX));
+            const y = Math.max(0, Math.floor((level.positions[i * 3 + 1] - origin[1]) / this.cellLengthY));
+            const id = (x | (y << 16)) >>> 0;
+            if (!cells.has(id)) cells.set(id, []);
+            cells.get(id).push(i);
+        }
+        return cells;
+    }
+
+    // Coarser LODs keep the most significant half (opacity x volume) of each cell's splats
+    buildLODs(data, levelCount) {
+        const levels = [data];
+        if (levelCount <= 1) return levels;
+
+        const origin = [Infinity, Infinity];
+        for (let i = 0; i < data.opacities.length; i++) {
+            origin[0] = Math.min(origin[0], data.positions[i * 3]);
+            origin[1] = Math.min(origin[1], data.positions[i * 3 + 1]);
+        }
+        const weight = i => data.opacities[i] * data.scales[i * 3] * data.scales[i * 3 + 1] * data.scales[i * 3 + 2];
+        const ranked = [...this.assignCells(data, origin).values()].map(ids => ids.sort((a, b) => weight(b) - weight(a)));
+
+        for (let l = 1; l < levelCount; l++) {
+            const keep = ranked.flatMap(ids => ids.slice(0, Math.ceil(ids.length / 2 ** l)));
+            levels.push(this.selectSplats(data, keep));
+        }
+        return levels;
+    }
+
+    selectSplats(data, indices) {
+        const n = indices.length;
+        const pick = (src, dims) => {
+            if (!src) return null;
+            const out = new Float32Array(n * dims);
+            indices.forEach((i, k) => out.set(src.subarray(i * dims, i * dims + dims), k * dims));
+            return out;
+        };
+        return {
+            splatCount: n,
+            positions: pick(data.positions, 3),
+            colors: pick(data.colors, 3),
+            opacities: pick(data.opacities, 1),
+            scales: pick(data.scales, 3),
+            rotations: pick(data.rotations, 4),
+            normals: pick(data.normals, 3),
+            sphericalHarmonics: pick(data.sphericalHarmonics, 45)
+        };
+    }
+
+    // Reverse of LCCLoader.parseSplats for splat i
+    packSplat(view, o, d, i, attrs) {
+        // Position (12 bytes)
+        view.setFloat32(o, d.positions[i * 3], true);
+        view.setFloat32(o + 4, d.positions[i * 3 + 1], true);
+        view.setFloat32(o + 8, d.positions[i * 3 + 2], true);
+
+        // Color + Opacity (4 bytes)
+        const r = quantize(d.colors[i * 3], 0, 1, 255);
+        const g = quantize(d.colors[i * 3 + 1], 0, 1, 255);
+        const b = quantize(d.colors[i * 3 + 2], 0, 1, 255);
+        const a = quantize(d.opacities[i], 0, 1, 255);
+        view.setUint32(o + 12, (r | (g << 8) | (b << 16) | (a << 24)) >>> 0, true);
+
+        // Scale (6 bytes) - normalized against attributes.scale
+        const scale = attrs.scale;
+        for (let k = 0; k < 3; k++) {
+            view.setUint16(o + 16 + k * 2, quantize(d.scales[i * 3 + k], scale.min[k], scale.max[k], 65535), true);
+        }
+
+        // Rotation (4 bytes) - rotations hold (x, y, z, -w), see parseSplats
+        view.setUint32(o + 22, this.encodeRotation([
+            d.rotations[i * 4], d.rotations[i * 4 + 1], d.rotations[i * 4 + 2], -d.rotations[i * 4 + 3]
+        ]), true);
+
+        // Normal (6 bytes) - normalized against attributes.normal, zero without normals
+        const normal = attrs.normal;
+        for (let k = 0; k < 3; k++) {
+            view.setUint16(o + 26 + k * 2, d.normals ? quantize(d.normals[i * 3 + k], normal.min[k], normal.max[k], 65535) : 0, true);
+        }
+    }
+
+    // Smallest-three: drop the largest component (index in the top 2 bits,
+    // matching QLUT), store the other three in [-1/sqrt2, 1/sqrt2] as 10 bits
+    encodeRotation(q) {
+        let idx = 0;
+        for (let k = 1; k < 4; k++) if (Math.abs(q[k]) > Math.abs(q[idx])) idx = k;
+        const sign = q[idx] < 0 ? -1 : 1;
+        const len = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+
+        const rest = [0, 1, 2, 3].filter(k => k !== idx).map(k => sign * q[k] / len);
+        const [a, b, c] = rest.map(v => quantize((v + RSQRT2) / SQRT2, 0, 1, 1023));
+        return (a | (b << 10) | (c << 20) | (idx << 30)) >>> 0;
+    }
+
+    // Reverse of LCCLoader.parseShcoef: 15 coefficients as 11/10/11-bit rgb
+    packShcoef(view, o, sh, i, attrs) {
+        const { min, max } = attrs.shcoef;
+        for (let j = 0; j < 15; j++) {
+            const v = i * 45 + j * 3;
+            const d0 = quantize(sh[v], min[0], max[0], 2047);
+            const d1 = quantize(sh[v + 1], min[1], max[1], 1023);
+            const d2 = quantize(sh[v + 2], min[2], max[2], 2047);
+            view.setUint32(o + j * 4, (d0 | (d1 << 11) | (d2 << 21)) >>> 0, true);
+        }
+    }
+}
@@ -4,33 +4,96 @@
  */
 
 import * as THREE from 'three';
+import { clipKeep, MAX_CLIP_BOXES, MAX_CLIP_PLANES } from './lcc-clipping.js';
+import { allocSplats, decodeSplats } from './lcc-loader.js';
+
+const TEXTURE_WIDTH = 4096;
+const SPLAT_TEXELS = 3;          // RGBA32UI texels per splat in splatTexture
+const PACKED_TEXELS = 2;         // the same, packed: one raw 32-byte data.bin record
+const PACKED_SH_TEXELS = 4;      // RGBA32UI texels per packed shcoef.bin row (64 bytes)
+const RANGE_TEXELS = 6;          // per slot: scale, normal and shcoef min / max (packed)
+const BYTES_PER_SPLAT = 32, BYTES_PER_SH = 64;
+// Attribute ranges the packed shader lerps, defaults as in decodeSplats() / decodeShcoef()
+const PACKED_RANGES = [['scale', -10, 10], ['normal', 0, 0], ['shcoef', -1, 1]];
+const SH_COEFFS = [0, 3, 8, 15]; // non-DC coefficients per SH degree
+const SORT_MODES = ['counting16', 'radix32'];
+export const MAX_OBJECTS = 16;   // object slots: the renderer's own chunks + 15 SplatObjects
+const SLOT_SHIFT = 28, INDEX_MASK = 0x0FFFFFFF; // a_index: slot in the top 4 bits, texture row below
+const MIN_ALPHA = 1 / 255;
+const PICK_CELL_SPLATS = 32;
+// setDebugMode(): false-color views for QA. depth / size map [min, max] (log scale) onto the ramp
+export const DEBUG_MODES = ['none', 'normals', 'depth', 'opacity', 'size', 'cell', 'lod', 'centers'];
+const DEBUG_RANGES = { depth: [0.5, 100], size: [0.001, 1] };
+const NO_CELL = 0xFFFFFFFF; // cell tag of splats without grid cell / LOD (e.g. environment.bin)
+
+// pick() scratch
+const _raycaster = new THREE.Raycaster(), _ndc = new THREE.Vector2();
+const _inv = new THREE.Matrix4(), _normalMatrix = new THREE.Matrix3();
+const _o = new THREE.Vector3(), _d = new THREE.Vector3();
+// update() scratch
+const _origin = new THREE.Vector2();
+const _model = new THREE.Matrix4(), _sort = new THREE.Matrix4(), _cam = new THREE.Vector3();
+const IDENTITY = new THREE.Matrix4();
 
 const vertexShader = `
 precision highp float;
-attribute vec3 a_center, a_col, a_covA, a_covB;
-attribute float a_opacity;
+precision highp int;
+${DEBUG_MODES.map((m, i) => `#define DEBUG_${m.toUpperCase()} ${i}`).join('\n')}
+attribute uint a_index;   // sorted splat index | object slot << 28, the only per-frame upload
 uniform float W, H, focal_x, focal_y, tan_fovx, tan_fovy;
 uniform float cullRadius;
+uniform int clipBoxCount, clipIncludeCount, clipPlaneCount; // see lcc-clipping.js
+uniform mat4 clipBoxes[${MAX_CLIP_BOXES}];  // LCC -> box [-1, 1] cube
+uniform int clipBoxExclude[${MAX_CLIP_BOXES}];
+uniform vec4 clipPlanes[${MAX_CLIP_PLANES}]; // kept where dot(n, p) + d >= 0
+uniform mat4 objectMatrices[${MAX_OBJECTS}];     // object LCC -> scene LCC (the mesh's local space)
+uniform vec4 objectCamera[${MAX_OBJECTS}];       // camera in object LCC; w = 0 when the slot is hidden or unused
 uniform mat4 viewmatrix, projmatrix;
+#ifdef PACKED
+uniform highp usampler2D splatTexture; // data.bin rows: [center.xyz, rgba8] [scale x | y, scale z | rot, rot | normal x, normal y | z]
+uniform highp usampler2D shTexture;    // shcoef.bin rows, 4 texels each
+uniform highp sampler2D rangeTexture;  // row per slot: scale min, max, normal min, max, shcoef min, max
+uniform highp usampler2D cellTexture;  // texel per cell range, by start: [start, end, cell tag]
+uniform uint cellRangeCount;
+#else
+uniform highp usampler2D splatTexture; // static: [center.xyz, rgba8] [cov xx xy xz yy] [cov yz zz, normal, cell]
+uniform highp sampler2D shTexture;
+#endif
+uniform int shDegree;     // 0 = base color only
+uniform uint shTexels;    // RGBA texels per splat in shTexture
+// modelMatrix (three built-in, the mesh's matrixWorld) takes scene LCC to world; by default the Z-up -> Y-up rotation
+uniform vec3 layerOffset;  // added to every center (LCC); follows the camera for layer 'camera'
+uniform int debugMode;     // index into DEBUG_MODES, 0 = splat color
+uniform vec2 debugRange;   // depth / size mapped onto the ramp, log scale
 varying vec3 v_col;
 varying vec4 v_con_o;
 varying vec2 v_xy, v_pixf;
 
-// Rotate position from Z-up to Y-up: (x,y,z) -> (x,z,-y)
-vec3 rotateZupToYup(vec3 p) {
-    return vec3(p.x, p.z, -p.y);
+ivec2 texelCoord(uint t) {
+    return ivec2(t % ${TEXTURE_WIDTH}u, t / ${TEXTURE_WIDTH}u);
 }
 
-// Rotate covariance matrix from Z-up to Y-up
-// Original: [xx, xy, xz, yy, yz, zz]
-// After -90° X rotation: [xx, xz, -xy, zz, -yz, yy]
-void rotateCov3D(float covIn[6], out float covOut[6]) {
-    covOut[0] = covIn[0];   // xx -> xx
-    covOut[1] = covIn[2];   // xz -> xy'
-    covOut[2] = -covIn[1];  // -xy -> xz'
-    covOut[3] = covIn[5];   // zz -> yy'
-    covOut[4] = -covIn[4];  // -yz -> yz'
-    covOut[5] = covIn[3];   // yy -> zz'
+// Covariance into world space: M Sigma M^T, upper triangle [xx, xy, xz, yy, yz, zz]
+void transformCov3D(mat3 M, float covIn[6], out float covOut[6]) {
+    mat3 S = mat3(covIn[0], covIn[1], covIn[2], covIn[1], covIn[3], covIn[4], covIn[2], covIn[4], covIn[5]);
+    mat3 R = M * S * transpose(M);
+    covOut[0] = R[0][0]; covOut[1] = R[1][0]; covOut[2] = R[2][0];
+    covOut[3] = R[1][1]; covOut[4] = R[2][1]; covOut[5] = R[2][2];
+}
+
+// Same test as clipKeep() in lcc-clipping.js, on the LCC center
+bool clipped(vec3 p) {
+    for (int i = 0; i < clipPlaneCount; i++) {
+        if (dot(clipPlanes[i].xyz, p) + clipPlanes[i].w < 0.0) return true;
+    }
+    bool included = clipIncludeCount == 0;
+    for (int i = 0; i < clipBoxCount; i++) {
+        vec3 u = abs((clipBoxes[i] * vec4(p, 1.0)).xyz);
+        if (max(u.x, max(u.y, u.z)) > 1.0) continue;
+        if (clipBoxExclude[i] != 0) return true;
+        included = true;
+    }
+    return !included;
 }
 
 vec3 computeCov2D(vec3 mean, float cov3D[6]) {
@@ -50,9 +113,140 @@ vec3 computeCov2D(vec3 mean, float cov3D[6]) {
     return vec3(cov[0][0], cov[0][1], cov[1][1]);
 }
 
+// Turbo colormap (polynomial approximation), t in [0, 1]
+vec3 turbo(float t) {
+    t = clamp(t, 0.0, 1.0);
+    vec4 v4 = vec4(1.0, t, t * t, t * t * t);
+    vec2 v2 = v4.zw * v4.z;
+    return vec3(
+        dot(v4, vec4(0.13572138, 4.61539260, -42.66032258, 132.13108234)) + dot(v2, vec2(-152.94239396, 59.28637943)),
+        dot(v4, vec4(0.09140261, 2.19418839, 4.84296658, -14.18503333)) + dot(v2, vec2(4.27729857, 2.82956604)),
+        dot(v4, vec4(0.10667330, 12.64194608, -60.58204836, 110.36276771)) + dot(v2, vec2(-89.90310912, 27.34824973)));
+}
+
+float logRamp(float v) {
+    return log(max(v, 1e-9) / debugRange.x) / log(debugRange.y / debugRange.x);
+}
+
+// Cell tag (x | y << 12 | lod << 24) -> a stable, well separated color per cell or per LOD
+vec3 cellColor(uint tag, bool byLOD) {
+    const vec3 LOD_COLORS[8] = vec3[8](vec3(0.90, 0.20, 0.20), vec3(0.95, 0.60, 0.10), vec3(0.90, 0.90, 0.20), vec3(0.30, 0.80, 0.30),
+                                       vec3(0.20, 0.80, 0.90), vec3(0.25, 0.40, 0.95), vec3(0.60, 0.30, 0.90), vec3(0.90, 0.40, 0.70));
+    if (tag == ${NO_CELL}u) return vec3(0.5);
+    if (byLOD) return LOD_COLORS[min(tag >> 24, 7u)];
+    uint h = (tag & 0xFFFFFFu) * 0x9E3779B1u;
+    h ^= h >> 15; h *= 0x85EBCA77u; h ^= h >> 13;
+    return 0.2 + 0.8 * vec3(h & 0xFFu, (h >> 8) & 0xFFu, (h >> 16) & 0xFFu) / 255.0;
+}
+
+#ifdef PACKED
+vec3 slotRange(int slot, int i) {
+    return texelFetch(rangeTexture, ivec2(i, slot), 0).xyz;
+}
+
+// The rows carry no cell tag: binary search for the last cell range starting at or before the splat
+uint cellTagOf(uint index) {
+    uint lo = 0u, hi = cellRangeCount;
+    for (int s = 0; s < 32 && lo < hi; s++) {
+        uint mid = (lo + hi) / 2u;
+        if (texelFetch(cellTexture, texelCoord(mid), 0).x <= index) lo = mid + 1u;
+        else hi = mid;
+    }
+    if (lo == 0u) return ${NO_CELL}u;
+    uvec4 r = texelFetch(cellTexture, texelCoord(lo - 1u), 0);
+    return index < r.y ? r.z : ${NO_CELL}u;
+}
+
+// Same as unpackRotation() in lcc-loader.js: smallest-three, the dropped component's index in the top 2 bits
+vec4 unpackRotation(uint enc) {
+    vec3 a = vec3(enc & 1023u, (enc >> 10) & 1023u, (enc >> 20) & 1023u) / 1023.0 * 1.414213562373095 - 0.7071067811865475;
+    float d = sqrt(max(0.0, 1.0 - dot(a, a)));
+    uint i = enc >> 30;
+    vec4 q = i == 0u ? vec4(d, a) : i == 1u ? vec4(a.x, d, a.yz) : i == 2u ? vec4(a.xy, d, a.z) : vec4(a, d);
+    float len = length(q);
+    return len > 0.0 ? q / len : q;
+}
+
+// Same as covariance() in lcc-loader.js: upper triangle of (S R)^T (S R), q = (x, y, z, w)
+void covariance(vec3 s, vec4 q, out float cov[6]) {
+    float x = q.x, y = q.y, z = q.z, w = q.w;
+    vec3 r0 = s.x * vec3(1.0 - 2.0 * (y * y + z * z), 2.0 * (x * y - w * z), 2.0 * (x * z + w * y));
+    vec3 r1 = s.y * vec3(2.0 * (x * y + w * z), 1.0 - 2.0 * (x * x + z * z), 2.0 * (y * z - w * x));
+    vec3 r2 = s.z * vec3(2.0 * (x * z - w * y), 2.0 * (y * z + w * x), 1.0 - 2.0 * (x * x + y * y));
+    mat3 M = mat3(r0.x, r1.x, r2.x, r0.y, r1.y, r2.y, r0.z, r1.z, r2.z); // rows r0..r2
+    mat3 S = transpose(M) * M;
+    cov[0] = S[0][0]; cov[1] = S[1][0]; cov[2] = S[2][0];
+    cov[3] = S[1][1]; cov[4] = S[2][1]; cov[5] = S[2][2];
+}
+#endif
+
+// View-dependent color from SH degrees 1-3; a_col already holds the DC term
+vec3 evalSH(vec3 dir, uint index, int slot) {
+    float sh[48];
+#ifdef PACKED
+    // 11/10/11-bit rgb per coefficient, lerped like decodeShcoef(); only the degrees in use
+    int coeffs = shDegree == 1 ? 3 : shDegree == 2 ? 8 : 15;
+    vec3 shMin = slotRange(slot, 4), shMax = slotRange(slot, 5);
+    uint base = index * ${PACKED_SH_TEXELS}u;
+    for (int t = 0; t * 4 < coeffs; t++) {
+        uvec4 v = texelFetch(shTexture, texelCoord(base + uint(t)), 0);
+        for (int c = 0; c < 4 && t * 4 + c < coeffs; c++) {
+            uint e = v[c];
+            vec3 rgb = mix(shMin, shMax, vec3(e & 2047u, (e >> 11) & 1023u, e >> 21) / vec3(2047.0, 1023.0, 2047.0));
+            int j = (t * 4 + c) * 3;
+            sh[j] = rgb.r; sh[j + 1] = rgb.g; sh[j + 2] = rgb.b;
+        }
+    }
+#else
+    uint base = index * shTexels;
+    for (int k = 0; k < int(shTexels); k++) {
+        uint t = base + uint(k);
+        vec4 v = texelFetch(shTexture, texelCoord(t), 0);
+        sh[k * 4] = v.x; sh[k * 4 + 1] = v.y; sh[k * 4 + 2] = v.z; sh[k * 4 + 3] = v.w;
+    }
+#endif
+    #define SH(i) vec3(sh[(i) * 3], sh[(i) * 3 + 1], sh[(i) * 3 + 2])
+
+    float x = dir.x, y = dir.y, z = dir.z;
+    vec3 result = 0.4886025119029199 * (-y * SH(0) + z * SH(1) - x * SH(2));
+    if (shDegree > 1) {
+        float xx = x * x, yy = y * y, zz = z * z;
+        result += 1.0925484305920792 * x * y * SH(3)
+                - 1.0925484305920792 * y * z * SH(4)
+                + 0.31539156525252005 * (2.0 * zz - xx - yy) * SH(5)
+                - 1.0925484305920792 * x * z * SH(6)
+                + 0.5462742152960396 * (xx - yy) * SH(7);
+        if (shDegree > 2) {
+            result += -0.5900435899266435 * y * (3.0 * xx - yy) * SH(8)
+                    + 2.890611442640554 * x * y * z * SH(9)
+                    - 0.4570457994644658 * y * (4.0 * zz - xx - yy) * SH(10)
+                    + 0.3731763325901154 * z * (2.0 * zz - 3.0 * xx - 3.0 * yy) * SH(11)
+                    - 0.4570457994644658 * x * (4.0 * zz - xx - yy) * SH(12)
+                    + 1.445305721320277 * z * (xx - yy) * SH(13)
+                    - 0.5900435899266435 * x * (xx - 3.0 * yy) * SH(14);
+        }
+    }
+    #undef SH
+    return result;
+}
+
 void main() {
-    // Apply Z-up to Y-up rotation
-    vec3 center = rotateZupToYup(a_center);
+    uint index = a_index & ${INDEX_MASK}u;
+    int k = int(a_index >> ${SLOT_SHIFT});
+    if (objectCamera[k].w == 0.0) { gl_Position = vec4(0.0, 0.0, 0.0, 1.0); return; }
+
+#ifdef PACKED
+    uint base = index * ${PACKED_TEXELS}u;
+#else
+    uint base = index * ${SPLAT_TEXELS}u;
+#endif
+    uvec4 t0 = texelFetch(splatTexture, texelCoord(base), 0);
+    vec3 a_center = uintBitsToFloat(t0.xyz) + layerOffset;
+    vec3 p = (objectMatrices[k] * vec4(a_center, 1.0)).xyz; // clip volumes are in scene LCC
+    if (clipped(p)) { gl_Position = vec4(0.0, 0.0, 0.0, 1.0); return; }
+
+    // Object LCC -> scene LCC -> world
+    vec3 center = (modelMatrix * vec4(p, 1.0)).xyz;
     
     vec4 p_hom = projmatrix * vec4(center, 1.0);
     vec3 p_proj = p_hom.xyz / (p_hom.w + 1e-7);
@@ -65,10 +259,26 @@ void main() {
         return; 
     }
 
-    // Rotate covariance to Y-up
-    float covIn[6] = float[6](a_covA.x, a_covA.y, a_covA.z, a_covB.x, a_covB.y, a_covB.z);
+    // Covariance to world
+#ifdef PACKED
+    // Scale and rotation decoded here, as decodeSplats() does (rotation stored with w negated)
+    uvec4 t1 = texelFetch(splatTexture, texelCoord(base + 1u), 0);
+    vec3 scale = mix(slotRange(k, 0), slotRange(k, 1), vec3(t1.x & 0xFFFFu, t1.x >> 16, t1.y & 0xFFFFu) / 65535.0);
+    vec4 q = unpackRotation((t1.y >> 16) | (t1.z << 16));
+    float covIn[6];
+    covariance(scale, vec4(q.xyz, -q.w), covIn);
+    vec3 normal = mix(slotRange(k, 2), slotRange(k, 3), vec3(t1.z >> 16, t1.w & 0xFFFFu, t1.w >> 16) / 65535.0);
+    uint cellTag = debugMode == DEBUG_CELL || debugMode == DEBUG_LOD ? cellTagOf(index) : ${NO_CELL}u;
+#else
+    vec4 c0 = uintBitsToFloat(texelFetch(splatTexture, texelCoord(base + 1u), 0));
+    uvec4 t2 = texelFetch(splatTexture, texelCoord(base + 2u), 0);
+    vec2 c1 = uintBitsToFloat(t2.xy);
+    float covIn[6] = float[6](c0.x, c0.y, c0.z, c0.w, c1.x, c1.y);
+    vec3 normal = (t2.z >> 30) != 0u ? vec3(t2.z & 0x3FFu, (t2.z >> 10) & 0x3FFu, (t2.z >> 20) & 0x3FFu) / 1023.0 * 2.0 - 1.0 : vec3(0.0);
+    uint cellTag = t2.w;
+#endif
     float cov3D[6];
-    rotateCov3D(covIn, cov3D);
+    transformCov3D(mat3(modelMatrix) * mat3(objectMatrices[k]), covIn, cov3D);
     
     vec3 cov = computeCov2D(center, cov3D);
     float det = cov.x * cov.z - cov.y * cov.y;
@@ -78,7 +288,7 @@ void main() {
     float mid = 0.5 * (cov.x + cov.z);
     float lambda1 = mid + sqrt(max(0.1, mid * mid - det));
     float lambda2 = mid - sqrt(max(0.1, mid * mid - det));
-    float my_radius = ceil(3.0 * sqrt(max(lambda1, lambda2)));
+    float my_radius = debugMode == DEBUG_CENTERS ? 1.5 : ceil(3.0 * sqrt(max(lambda1, lambda2)));
     vec2 point_image = vec2(((p_proj.x + 1.0) * W - 1.0) * 0.5, ((p_proj.y + 1.0) * H - 1.0) * 0.5);
     
     // Frustum culling - skip splats completely outside viewport
@@ -90,8 +300,26 @@ void main() {
     
     vec2 screen_pos = point_image + my_radius * position.xy;
 
-    v_col = a_col;
-    v_con_o = vec4(conic, a_opacity);
+    vec4 rgba = vec4(t0.w & 0xFFu, (t0.w >> 8) & 0xFFu, (t0.w >> 16) & 0xFFu, t0.w >> 24) / 255.0;
+    v_col = rgba.rgb;
+    if (shDegree > 0) v_col = max(v_col + evalSH(normalize(a_center - objectCamera[k].xyz), index, k), 0.0);
+    v_con_o = vec4(conic, rgba.a);
+
+    // Debug views replace the color; 'opacity' and 'centers' also draw every footprint opaque
+    if (debugMode == DEBUG_NORMALS) {
+        v_col = dot(normal, normal) > 1e-12 ? normalize(mat3(objectMatrices[k]) * normal) * 0.5 + 0.5 : vec3(0.5);
+    } else if (debugMode == DEBUG_DEPTH) {
+        v_col = turbo(logRamp(-p_view.z));
+    } else if (debugMode == DEBUG_OPACITY) {
+        v_col = turbo(rgba.a);
+        v_con_o.w = 1.0;
+    } else if (debugMode == DEBUG_SIZE) {
+        v_col = turbo(logRamp(sqrt(cov3D[0] + cov3D[3] + cov3D[5])));
+    } else if (debugMode == DEBUG_CELL || debugMode == DEBUG_LOD) {
+        v_col = cellColor(cellTag, debugMode == DEBUG_LOD);
+    } else if (debugMode == DEBUG_CENTERS) {
+        v_con_o = vec4(0.0, 0.0, 0.0, 1.0);
+    }
     v_xy = point_image;
     v_pixf = screen_pos;
     gl_Position = vec4(screen_pos / vec2(W, H) * 2.0 - 1.0, 0.0, 1.0);
@@ -113,88 +341,117 @@ void main() {
 }`;
 
 const workerCode = `
-let splatCount;
-let positions, colors, opacities, cov3DsA, cov3DsB;
-let sortedPositions, sortedColors, sortedOpacities, sortedCovA, sortedCovB;
-let depthIndex, sizeList;
+let capacity = 0, sortMode = 'counting16', clip = null;
+let positions = new Float32Array(0), depths, keys, keysTmp, indicesTmp, sizeList, visible;
+const regions = new Map(); // first row -> [rows in use, slot]
+const counts16 = new Uint32Array(65536), counts8 = new Uint32Array(256);
 
 self.onmessage = e => {
-    if (e.data.type === 'init') {
-        const d = e.data.data;
-        splatCount = d.splatCount;
-        positions = new Float32Array(d.positions);
-        colors = new Float32Array(d.colors);
-        opacities = new Float32Array(d.opacities);
-        cov3DsA = new Float32Array(d.cov3DsA);
-        cov3DsB = new Float32Array(d.cov3DsB);
-        
-        // Pre-allocate output buffers
-        sortedPositions = new Float32Array(splatCount * 3);
-        sortedColors = new Float32Array(splatCount * 3);
-        sortedOpacities = new Float32Array(splatCount);
-        sortedCovA = new Float32Array(splatCount * 3);
-        sortedCovB = new Float32Array(splatCount * 3);
-        depthIndex = new Uint32Array(splatCount);
-        sizeList = new Int32Array(splatCount);
-    } 
-    else if (e.data.type === 'sort') {
-        const vm = e.data.data.viewMatrix;
-        
-        // Calculate depths with Z-up to Y-up rotation: (x,y,z) -> (x,z,-y)
-        let maxDepth = -Infinity, minDepth = Infinity;
-        for (let i = 0; i < splatCount; i++) {
-            const x = positions[i*3];
-            const y = positions[i*3+2];   // rotated: z -> y
-            const z = -positions[i*3+1];  // rotated: -y -> z
-            const depth = ((vm[2]*x + vm[6]*y + vm[10]*z) * 4096) | 0;
-            sizeList[i] = depth;
-            if (depth > maxDepth) maxDepth = depth;
-            if (depth < minDepth) minDepth = depth;
-        }
-        
-        // 16-bit counting sort (from antimatter15/splat)
-        const depthInv = 65536 / (maxDepth - minDepth + 1);
-        const counts = new Uint32Array(65536);
-        for (let i = 0; i < splatCount; i++) {
-            sizeList[i] = ((sizeList[i] - minDepth) * depthInv) | 0;
-            counts[sizeList[i]]++;
-        }
-        const starts = new Uint32Array(65536);
-        for (let i = 1; i < 65536; i++) starts[i] = starts[i-1] + counts[i-1];
-        for (let i = 0; i < splatCount; i++) depthIndex[starts[sizeList[i]]++] = i;
-        
-        // Reorder all attributes in worker (offloads from main thread)
-        for (let j = 0; j < splatCount; j++) {
-            const i = depthIndex[j];
-            const j3 = j * 3, i3 = i * 3;
-            sortedPositions[j3] = positions[i3];
-            sortedPositions[j3+1] = positions[i3+1];
-            sortedPositions[j3+2] = positions[i3+2];
-            sortedColors[j3] = colors[i3];
-            sortedColors[j3+1] = colors[i3+1];
-            sortedColors[j3+2] = colors[i3+2];
-            sortedOpacities[j] = opacities[i];
-            sortedCovA[j3] = cov3DsA[i3];
-            sortedCovA[j3+1] = cov3DsA[i3+1];
-            sortedCovA[j3+2] = cov3DsA[i3+2];
-            sortedCovB[j3] = cov3DsB[i3];
-            sortedCovB[j3+1] = cov3DsB[i3+1];
-            sortedCovB[j3+2] = cov3DsB[i3+2];
-        }
-        
-        // Send sorted data (copies, since we reuse buffers)
-        self.postMessage({
-            positions: new Float32Array(sortedPositions),
-            colors: new Float32Array(sortedColors),
-            opacities: new Float32Array(sortedOpacities),
-            covA: new Float32Array(sortedCovA),
-            covB: new Float32Array(sortedCovB)
-        });
+    const d = e.data;
+    if (d.type === 'resize') {
+        // Grown row space: positions carry over, sort scratch starts fresh
+        capacity = d.capacity;
+        const old = positions;
+        positions = new Float32Array(capacity * 3);
+        positions.set(old);
+        depths = new Float32Array(capacity);
+        keys = new Uint32Array(depths.buffer); // float bits of depths, made sortable in place
+        keysTmp = new Uint32Array(capacity);
+        indicesTmp = new Uint32Array(capacity);
+        sizeList = new Int32Array(capacity);
+        visible = new Uint32Array(capacity);
+    }
+    else if (d.type === 'write') {
+        // Centers of rows [at, at + n) of the region at start, which now has count rows
+        positions.set(new Float32Array(d.positions), d.at * 3);
+        regions.set(d.start, [d.count, d.slot]);
+    }
+    else if (d.type === 'free') {
+        regions.delete(d.start);
+    }
+    else if (d.type === 'mode') {
+        sortMode = d.sortMode;
     }
-};`;
+    else if (d.type === 'clip') {
+        clip = d.clip;
+    }
+    else if (d.type === 'sort') {
+        // Fill the index buffer the main thread lent us, then hand it back
+        let indices = d.indices;
+        if (indices.length < capacity) indices = new Uint32Array(capacity);
+
+        // One depth sort across all regions. Hidden slots and clipped splats are
+        // left out; the rest sort as 0..count-1 and map back through visible,
+        // which holds each row with its slot in the top bits (the shader's a_index)
+        const { views, locals, shown } = d.objects;
+        let count = 0;
+        for (const [start, [rows, s]] of regions) {
+            if (!shown[s]) continue;
+            const m = s * 16, V = views, L = locals, tag = s << ${SLOT_SHIFT};
+            for (let i = start; i < start + rows; i++) {
+                const x = positions[i*3], y = positions[i*3+1], z = positions[i*3+2];
+                // Clip volumes are in scene LCC, reached through the object matrix
+                if (clip && !clipKeep(clip, L[m]*x + L[m+4]*y + L[m+8]*z + L[m+12],
+                    L[m+1]*x + L[m+5]*y + L[m+9]*z + L[m+13], L[m+2]*x + L[m+6]*y + L[m+10]*z + L[m+14])) continue;
+                // View-space depth: view * model * object matrix
+                visible[count] = i | tag;
+                depths[count++] = V[m+2]*x + V[m+6]*y + V[m+10]*z + V[m+14];
+            }
+        }
+        if (sortMode === 'radix32') radixSort32(indices, count);
+        else countingSort16(indices, count);
+        for (let k = 0; k < count; k++) indices[k] = visible[indices[k]];
+        self.postMessage({ layout: d.layout, indices, count }, [indices.buffer]);
+    }
+};
+
+// 16-bit counting sort of quantized depths (from antimatter15/splat)
+function countingSort16(indices, n) {
+    let maxDepth = -Infinity, minDepth = Infinity;
+    for (let i = 0; i < n; i++) {
+        const depth = (depths[i] * 4096) | 0;
+        sizeList[i] = depth;
+        if (depth > maxDepth) maxDepth = depth;
+        if (depth < minDepth) minDepth = depth;
+    }
+    const depthInv = 65536 / (maxDepth - minDepth + 1);
+    counts16.fill(0);
+    for (let i = 0; i < n; i++) {
+        sizeList[i] = ((sizeList[i] - minDepth) * depthInv) | 0;
+        counts16[sizeList[i]]++;
+    }
+    for (let i = 0, sum = 0; i < 65536; i++) { const c = counts16[i]; counts16[i] = sum; sum += c; }
+    for (let i = 0; i < n; i++) indices[counts16[sizeList[i]]++] = i;
+}
+
+// Full-precision LSD radix sort on the float depth bits, 4 passes of 8 bits
+function radixSort32(indices, n) {
+    for (let i = 0; i < n; i++) {
+        const k = keys[i];
+        keys[i] = k & 0x80000000 ? ~k : k | 0x80000000; // order-preserving float -> uint
+        indices[i] = i;
+    }
+    let srcK = keys, srcI = indices, dstK = keysTmp, dstI = indicesTmp;
+    for (let shift = 0; shift < 32; shift += 8) {
+        counts8.fill(0);
+        for (let i = 0; i < n; i++) counts8[(srcK[i] >>> shift) & 255]++;
+        for (let b = 0, sum = 0; b < 256; b++) { const c = counts8[b]; counts8[b] = sum; sum += c; }
+        for (let i = 0; i < n; i++) {
+            const k = srcK[i], at = counts8[(k >>> shift) & 255]++;
+            dstK[at] = k;
+            dstI[at] = srcI[i];
+        }
+        [srcK, dstK] = [dstK, srcK];
+        [srcI, dstI] = [dstI, srcI];
+    }
+    // Four passes end back in indices
+}
+
+${clipKeep}`;
+
 
 export class GaussianSplatRenderer {
-    constructor(renderer, camera) {
+    constructor(renderer, camera, options = {}) {
         this.renderer = renderer;
         this.camera = camera;
         this.mesh = null;
@@ -202,44 +459,61 @@ export class GaussianSplatRenderer {
         this.geometry = null;
         this.worker = null;
         this.isWorkerSorting = false;
-        this.lastSortTime = 0;
-        this.sortInterval = 700; // Minimum ms between sorts
+        this.sortMode = options.sortMode ?? 'counting16'; // or 'radix32': exact float order, slower
         this.splatCount = 0;
-        this.lastCameraMatrix = new THREE.Matrix4();
-        this.positions = null;
-        this.colors = null;
-        this.opacities = null;
-        this.cov3DsA = null;
-        this.cov3DsB = null;
+        this.sortState = null; // per-slot matrices + visibility the last sort used
+        this.cameraLCC = new THREE.Vector3(); // camera in scene LCC (the mesh's local space)
+        this.splatTexture = null;
+        this.splatData = null;    // its data, every region's rows; partial uploads read from it
+        this.spareIndices = null; // the index buffer not currently on the GPU (null while lent to the worker)
+        this.needsSort = false;
+        this.chunks = new Map(); // id -> decoded splat data, written to the textures on the next update()
+        this.chunksDirty = false;
+        this.objects = [];       // SplatObjects (lcc-scene.js), each in its own slot 1.., see addObject()
+        // Each chunk keeps the texture rows it is given until it is removed or replaced.
+        // A chunk that grows in place (a load's partial results) only writes its new rows.
+        this.regions = new Map(); // owner (this or a SplatObject) -> Map(chunk id -> region)
+        this.freeRows = [];       // [start, size] gaps between regions, by start
+        this.rowsUsed = 0;        // end of the last region
+        this.capacity = 0;        // rows in the textures, the sort worker and the index buffers
+        this.uploads = [];        // ['splat' | 'sh', first texel, end texel] written since the last update()
+        this.freshTextures = new Set(); // created since the last update(); uploaded whole on first use
+        // The drawn order outlives region changes: rows freed since it was sorted are
+        // dropped, rows written since are drawn first until a sort includes them
+        this.layout = 0;          // bumped on every region change
+        this.drawnLayout = 0;     // layout of the order on the GPU
+        this.sortLayout = 0;      // layout of the sort in flight
+        this.freedRows = [];      // [layout, start, end] back to the older of the two
+        this.deadRows = null;     // scratch mask for dropping freed rows
+        this.shDegree = options.shDegree ?? 3; // highest SH degree evaluated (0-3)
+        this.shTexture = null;
+        this.shData = null;       // its data, as splatData
+        this.shTextureDegree = 0;
+        this.shTooLarge = false;  // the last build did not fit; new chunks don't retry it
+        // 'world': splats stay at their LCC positions. 'camera': the layer moves
+        // with the camera (no parallax, as if infinitely far) and draws behind
+        // 'world' layers - used for environment.bin. anchor: LCC point the camera stands at.
+        this.clipVolumes = null; // ClipVolumes (lcc-clipping.js), see setClipping()
+        this.clip = null;        // its packed form
+        this.layer = options.layer ?? 'world';
+        this.anchor = new THREE.Vector3().fromArray(options.anchor ?? [0, 0, 0]);
+        this.debugMode = options.debugMode ?? 'none'; // see setDebugMode()
+        this.debugRange = options.debugRange ?? null;
+        this.cullRadius = options.cullRadius ?? 0; // 0 = no culling, see setCullRadius()
+        // Packed: takes LCCLoader packed: true results and keeps their data.bin /
+        // shcoef.bin rows on the GPU as they are; the shader decodes them
+        this.packed = options.packed ?? false;
+        this.rangeTexture = null;    // meta.lcc attribute ranges per object slot (packed)
+        this.cellTexture = null;     // cell ranges for the 'cell' / 'lod' views (packed)
     }
 
-    async init(data) {
-        this.splatCount = data.splatCount;
-        this.positions = data.positions;
-        this.colors = data.colors;
-        this.opacities = data.opacities;
-
-        // Split cov3D into A/B
-        this.cov3DsA = new Float32Array(this.splatCount * 3);
-        this.cov3DsB = new Float32Array(this.splatCount * 3);
-        for (let i = 0; i < this.splatCount; i++) {
-            this.cov3DsA.set(data.cov3Ds.subarray(i * 6, i * 6 + 3), i * 3);
-            this.cov3DsB.set(data.cov3Ds.subarray(i * 6 + 3, i * 6 + 6), i * 3);
-        }
-
+    async init(data = null) {
         // Geometry
         this.geometry = new THREE.InstancedBufferGeometry();
         this.geometry.setAttribute('position', new THREE.BufferAttribute(
             new Float32Array([-1,-1,0, 1,-1,0, -1,1,0, 1,1,0]), 3));
         this.geometry.setIndex(new THREE.BufferAttribute(new Uint16Array([0,1,2,2,1,3]), 1));
-
-        const n = this.splatCount;
-        this.geometry.setAttribute('a_center', new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3));
-        this.geometry.setAttribute('a_col', new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3));
-        this.geometry.setAttribute('a_opacity', new THREE.InstancedBufferAttribute(new Float32Array(n), 1));
-        this.geometry.setAttribute('a_covA', new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3));
-        this.geometry.setAttribute('a_covB', new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3));
-        this.geometry.instanceCount = n;
+        this.geometry.instanceCount = 0;
 
         // Material
         this.material = new THREE.ShaderMaterial({
@@ -247,10 +521,27 @@ export class GaussianSplatRenderer {
                 W: { value: innerWidth }, H: { value: innerHeight },
                 focal_x: { value: 0 }, focal_y: { value: 0 },
                 tan_fovx: { value: 0 }, tan_fovy: { value: 0 },
-                cullRadius: { value: 0 }, // 0 = no culling
+                cullRadius: { value: this.cullRadius },
+                clipBoxCount: { value: 0 }, clipIncludeCount: { value: 0 }, clipPlaneCount: { value: 0 },
+                clipBoxes: { value: new Float32Array(MAX_CLIP_BOXES * 16) },
+                clipBoxExclude: { value: new Int32Array(MAX_CLIP_BOXES) },
+                clipPlanes: { value: new Float32Array(MAX_CLIP_PLANES * 4) },
                 viewmatrix: { value: new THREE.Matrix4() },
-                projmatrix: { value: new THREE.Matrix4() }
+                projmatrix: { value: new THREE.Matrix4() },
+                splatTexture: { value: null },
+                shTexture: { value: null },
+                rangeTexture: { value: null },
+                cellTexture: { value: null },
+                cellRangeCount: { value: 0 },
+                shDegree: { value: 0 },
+                shTexels: { value: 0 },
+                objectMatrices: { value: new Float32Array(MAX_OBJECTS * 16) },
+                objectCamera: { value: new Float32Array(MAX_OBJECTS * 4) },
+                layerOffset: { value: new THREE.Vector3() },
+                debugMode: { value: 0 },
+                debugRange: { value: new THREE.Vector2(1, 10) }
             },
+            defines: this.packed ? { PACKED: '' } : {},
             vertexShader, fragmentShader,
             transparent: true, depthTest: false, depthWrite: false,
             blending: THREE.CustomBlending,
@@ -258,54 +549,409 @@ export class GaussianSplatRenderer {
             blendSrcAlpha: THREE.OneFactor, blendDstAlpha: THREE.OneMinusSrcAlphaFactor
         });
 
+        this.setDebugMode(this.debugMode, this.debugRange ?? undefined);
+        if (this.packed) {
+            this.rangeTexture = new THREE.DataTexture(new Float32Array(RANGE_TEXELS * MAX_OBJECTS * 4), RANGE_TEXELS, MAX_OBJECTS, THREE.RGBAFormat, THREE.FloatType);
+            this.material.uniforms.rangeTexture.value = this.rangeTexture;
+            this.updateCellTexture();
+        }
+
         this.mesh = new THREE.Mesh(this.geometry, this.material);
         this.mesh.frustumCulled = false;
+        // LCC is Z-up: the mesh transform rotates it into the Y-up world. Set
+        // mesh.matrix (e.g. from CoordinateSystem.matrix()) to georeference or move the scan.
+        this.mesh.rotation.x = -Math.PI / 2;
+        this.objects.forEach(o => this.mesh.add(o));
+        if (this.layer === 'camera') {
+            // Opaque list + renderOrder -1: drawn first, so opaque helpers and
+            // 'world' splats both land on top (blending stays custom, no depth write)
+            this.material.transparent = false;
+            this.mesh.renderOrder = -1;
+        }
 
-        // Worker - send all data for sorting
+        // Worker - sorts the regions' centers it was sent. Index buffers ping-pong:
+        // the returned one goes on the GPU, the one it replaces is lent out next.
         this.worker = new Worker(URL.createObjectURL(new Blob([workerCode], { type: 'application/javascript' })));
+        this.worker.postMessage({ type: 'mode', sortMode: this.sortMode });
+        if (this.clipVolumes) this.setClipping(this.clipVolumes);
         this.worker.onmessage = e => {
             this.isWorkerSorting = false;
-            // Receive pre-sorted arrays and update GPU buffers directly
-            const g = this.geometry;
-            g.getAttribute('a_center').array.set(e.data.positions);
-            g.getAttribute('a_col').array.set(e.data.colors);
-            g.getAttribute('a_opacity').array.set(e.data.opacities);
-            g.getAttribute('a_covA').array.set(e.data.covA);
-            g.getAttribute('a_covB').array.set(e.data.covB);
-            g.getAttribute('a_center').needsUpdate = true;
-            g.getAttribute('a_col').needsUpdate = true;
-            g.getAttribute('a_opacity').needsUpdate = true;
-            g.getAttribute('a_covA').needsUpdate = true;
-            g.getAttribute('a_covB').needsUpdate = true;
+            this.spareIndices = this.geometry.getAttribute('a_index').array;
+            this.showOrder(e.data.indices, e.data.count, e.data.layout);
         };
-        this.worker.postMessage({ 
-            type: 'init', 
-            data: { 
-                splatCount: n,
-                positions: this.positions.buffer.slice(0),
-                colors: this.colors.buffer.slice(0),
-                opacities: this.opacities.buffer.slice(0),
-                cov3DsA: this.cov3DsA.buffer.slice(0),
-                cov3DsB: this.cov3DsB.buffer.slice(0)
+
+        this.grow(0); // an empty splat texture and index buffer to start from
+        if (data) this.setData(data);
+    }
+
+    // Replace the renderer's own splats (slot 0) with one set; SplatObjects keep theirs.
+    // Given a longer prefix of the same arrays (a load's onPartial), only the new rows are written.
+    setData(data) {
+        this.chunks.clear();
+        this.chunks.set('data', data);
+        this.chunksDirty = true;
+    }
+
+    // Chunks (e.g. streamed grid cells) get their texture rows on the next update()
+    addChunk(id, data) {
+        this.chunks.set(id, data);
+        this.chunksDirty = true;
+    }
+
+    removeChunk(id) {
+        if (this.chunks.delete(id)) this.chunksDirty = true;
+    }
+
+    /**
+     * SplatObjects (lcc-scene.js) share this renderer's draw call and depth sort,
+     * so overlapping datasets composite correctly. Each becomes a child of the mesh:
+     * object.matrix takes its LCC into the scene LCC, and object.visible hides it.
+     */
+    addObject(object) {
+        if (this.objects.includes(object)) return object;
+        if (this.objects.length >= MAX_OBJECTS - 1) throw new Error(`At most ${MAX_OBJECTS - 1} objects per renderer`);
+        const used = new Set(this.objects.map(o => o.slot));
+        object.slot = 1;
+        while (used.has(object.slot)) object.slot++;
+        this.objects.push(object);
+        object.owner = this;
+        this.mesh?.add(object);
+        this.chunksDirty = true;
+        return object;
+    }
+
+    removeObject(object) {
+        const i = this.objects.indexOf(object);
+        if (i < 0) return;
+        this.objects.splice(i, 1);
+        object.owner = null;
+        object.slot = null;
+        object.removeFromParent();
+        this.chunksDirty = true;
+    }
+
+    // Regions in line with the chunks: removed or replaced chunks free theirs, new
+    // ones get one, grown ones write their new rows. The drawn order is patched to match.
+    syncChunks() {
+        this.chunksDirty = false;
+        const owners = [this, ...this.objects];
+        const chunksOf = owner => owner === this ? this.chunks : owner.chunks;
+        for (const owner of owners) {
+            for (const c of chunksOf(owner).values()) {
+                if (!c.packed !== !this.packed) {
+                    throw new Error(this.packed ? 'A packed renderer needs LCCLoader packed: true chunks' : 'Packed chunks need a renderer created with packed: true');
+                }
+            }
+        }
+        const layout = this.layout + 1;
+        let changed = false;
+        for (const [owner, regions] of this.regions) {
+            const chunks = owners.includes(owner) ? chunksOf(owner) : null;
+            for (const [id, r] of regions) {
+                const data = chunks?.get(id);
+                if (data && (data === r.data || grows(r, data))) continue;
+                this.freeRegion(r, layout);
+                regions.delete(id);
+                changed = true;
             }
+            if (!regions.size) this.regions.delete(owner);
+        }
+        for (const owner of owners) {
+            for (const [id, data] of chunksOf(owner)) {
+                let r = this.regions.get(owner)?.get(id);
+                if (r?.data === data) continue;
+                if (r) {
+                    // More of the same arrays decoded; SH is written whole once it arrives
+                    const from = r.count, shFrom = chunkSH(r.data) ? from : 0;
+                    r.data = data;
+                    r.count = data.splatCount;
+                    this.writeRows(r, from, shFrom, layout);
+                } else {
+                    const size = chunkRows(data);
+                    if (!size) continue;
+                    r = { data, slot: owner === this ? 0 : owner.slot, start: this.allocRows(size), size, count: data.splatCount, writes: [], grid: null };
+                    if (!this.regions.has(owner)) this.regions.set(owner, new Map());
+                    this.regions.get(owner).set(id, r);
+                    this.writeRows(r, 0, 0, layout);
+                }
+                changed = true;
+            }
+        }
+        if (!changed) return;
+
+        this.layout = layout;
+        this.splatCount = this.allRegions().reduce((n, r) => n + r.count, 0);
+        if (this.packed) {
+            this.updateRangeTexture();
+            this.updateCellTexture();
+        }
+        this.needsSort = true;
+        this.showOrder(this.geometry.getAttribute('a_index').array, this.geometry.instanceCount, this.drawnLayout);
+    }
+
+    allRegions() {
+        return [...this.regions.values()].flatMap(regions => [...regions.values()]);
+    }
+
+    // First gap that fits, else after the last region (growing the row space when needed)
+    allocRows(size) {
+        const i = this.freeRows.findIndex(gap => gap[1] >= size);
+        if (i >= 0) {
+            const [start, gapSize] = this.freeRows[i];
+            if (gapSize === size) this.freeRows.splice(i, 1);
+            else this.freeRows[i] = [start + size, gapSize - size];
+            return start;
+        }
+        if (this.rowsUsed + size > this.capacity) this.grow(this.rowsUsed + size);
+        this.rowsUsed += size;
+        return this.rowsUsed - size;
+    }
+
+    // Rows back into the gaps, merged with their neighbours; a gap at the end shrinks rowsUsed
+    freeRegion(r, layout) {
+        this.freedRows.push([layout, r.start, r.start + r.count]);
+        this.worker.postMessage({ type: 'free', start: r.start });
+        let start = r.start, end = r.start + r.size;
+        this.freeRows = this.freeRows.filter(([s, size]) => {
+            if (s + size === start) start = s;
+            else if (s === end) end = s + size;
+            else return true;
+            return false;
         });
+        if (end === this.rowsUsed) this.rowsUsed = start;
+        else this.freeRows.splice(this.freeRows.findIndex(gap => gap[0] > start) >>> 0, 0, [start, end - start]);
+    }
+
+    // Rows [from, count) of a region's chunk into the texture data, the sort worker
+    // and the upload list; its SH rows from shFrom
+    writeRows(r, from, shFrom, layout) {
+        const { data, start, count } = r;
+        if (count > from) {
+            r.writes.push([layout, from, count]);
+            const positions = new Float32Array((count - from) * 3);
+            if (this.packed) {
+                new Uint8Array(this.splatData.buffer).set(data.packed.subarray(from * BYTES_PER_SPLAT, count * BYTES_PER_SPLAT), (start + from) * BYTES_PER_SPLAT);
+                // Centers are the first 12 bytes of each 32-byte row
+                const rows = new Float32Array(this.splatData.buffer);
+                for (let i = 0; i < count - from; i++) positions.set(rows.subarray((start + from + i) * 8, (start + from + i) * 8 + 3), i * 3);
+            } else {
+                encodeSplats(data, from, count, this.splatData, start);
+                positions.set(data.positions.subarray(from * 3, count * 3));
+            }
+            const texels = this.packed ? PACKED_TEXELS : SPLAT_TEXELS;
+            this.uploads.push(['splat', (start + from) * texels, (start + count) * texels]);
+            this.worker.postMessage({ type: 'write', start, slot: r.slot, count, at: start + from, positions: positions.buffer }, [positions.buffer]);
+        }
+        this.writeSH(r, shFrom);
+    }
+
+    // SH rows [from, count) of a region, when its chunk has them; the first such
+    // chunk builds the SH texture (from every region)
+    writeSH(r, from) {
+        const sh = chunkSH(r.data);
+        if (!sh || from >= r.count) return;
+        if (!this.shData) {
+            if (this.shDegree > 0 && !this.shTooLarge) this.updateSHTexture();
+            return;
+        }
+        const texels = this.packed ? PACKED_SH_TEXELS : this.material.uniforms.shTexels.value;
+        if (this.packed) {
+            new Uint8Array(this.shData.buffer).set(sh.subarray(from * BYTES_PER_SH, r.count * BYTES_PER_SH), (r.start + from) * BYTES_PER_SH);
+        } else {
+            const floats = SH_COEFFS[this.shTextureDegree] * 3;
+            for (let i = from; i < r.count; i++) this.shData.set(sh.subarray(i * 45, i * 45 + floats), (r.start + i) * texels * 4);
+        }
+        this.uploads.push(['sh', (r.start + from) * texels, (r.start + r.count) * texels]);
+    }
 
-        this.updateBuffers();
+    // Room for `rows`: the textures, their data, the worker and the index buffers
+    // grow by half again (or to rows), keeping their contents and the drawn order
+    grow(rows) {
+        const texels = this.packed ? PACKED_TEXELS : SPLAT_TEXELS;
+        const maxTextureSize = this.renderer.capabilities.maxTextureSize;
+        const maxRows = Math.floor(TEXTURE_WIDTH * maxTextureSize / texels);
+        if (rows > maxRows) throw new Error(`${rows} splats exceed the largest splat texture (${TEXTURE_WIDTH}x${maxTextureSize})`);
+        const capacity = Math.min(maxRows, Math.max(rows, Math.ceil(this.capacity * 1.5)));
+        const height = Math.max(1, Math.ceil(capacity * texels / TEXTURE_WIDTH));
+        const data = new Uint32Array(TEXTURE_WIDTH * height * 4);
+        if (this.splatData) data.set(this.splatData);
+        this.splatData = data;
+        this.splatTexture?.dispose();
+        this.splatTexture = this.uintTexture(data, height);
+        this.material.uniforms.splatTexture.value = this.splatTexture;
+
+        const indices = new Uint32Array(capacity);
+        const drawn = this.geometry.getAttribute('a_index');
+        if (drawn) indices.set(drawn.array.subarray(0, this.geometry.instanceCount));
+        this.geometry.dispose(); // frees the old instanced buffer on the GPU
+        this.geometry.setAttribute('a_index', new THREE.InstancedBufferAttribute(indices, 1));
+        this.spareIndices = this.isWorkerSorting ? null : new Uint32Array(capacity); // a lent one is resized on return
+        this.capacity = capacity;
+        this.worker.postMessage({ type: 'resize', capacity });
+        if (this.shData) this.updateSHTexture();
+    }
+
+    uintTexture(data, height) {
+        const texture = new THREE.DataTexture(data, TEXTURE_WIDTH, height, THREE.RGBAIntegerFormat, THREE.UnsignedIntType);
+        texture.internalFormat = 'RGBA32UI';
+        texture.needsUpdate = true;
+        this.freshTextures.add(texture);
+        return texture;
     }
 
-    updateBuffers() {
-        const g = this.geometry;
-        g.getAttribute('a_center').array.set(this.positions);
-        g.getAttribute('a_col').array.set(this.colors);
-        g.getAttribute('a_opacity').array.set(this.opacities);
-        g.getAttribute('a_covA').array.set(this.cov3DsA);
-        g.getAttribute('a_covB').array.set(this.cov3DsB);
-        for (const name of ['a_center', 'a_col', 'a_opacity', 'a_covA', 'a_covB'])
-            g.getAttribute(name).needsUpdate = true;
+    // Rows written since the last update() to the GPU, as runs of whole texture rows
+    flushUploads() {
+        const targets = { splat: [this.splatTexture, this.splatData], sh: [this.shTexture, this.shData] };
+        const runs = this.uploads.map(([name, first, end]) => [name, Math.floor(first / TEXTURE_WIDTH), Math.ceil(end / TEXTURE_WIDTH)])
+            .sort((a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]);
+        for (let i = 0; i < runs.length; i++) {
+            const [name, y0] = runs[i];
+            let y1 = runs[i][2];
+            while (runs[i + 1]?.[0] === name && runs[i + 1][1] <= y1) y1 = Math.max(y1, runs[++i][2]);
+            const [texture, data] = targets[name];
+            if (!texture || this.freshTextures.has(texture)) continue;
+            const image = { data: data.subarray(y0 * TEXTURE_WIDTH * 4, y1 * TEXTURE_WIDTH * 4), width: TEXTURE_WIDTH, height: y1 - y0 };
+            this.renderer.copyTextureToTexture(_origin.set(0, y0), { isDataTexture: true, image }, texture);
+        }
+        this.uploads.length = 0;
+        this.freshTextures.clear();
+    }
+
+    // Put an order on the GPU, brought up to the current layout first
+    showOrder(indices, count, layout) {
+        const attr = this.geometry.getAttribute('a_index');
+        [attr.array, count] = this.patchOrder(indices, count, layout);
+        attr.clearUpdateRanges();
+        attr.addUpdateRange(0, count);
+        attr.needsUpdate = true;
+        this.geometry.instanceCount = count; // clipped splats aren't drawn at all
+        this.drawnLayout = this.layout;
+
+        // Keep the change log back to the oldest layout still in use
+        const oldest = this.isWorkerSorting ? Math.min(this.drawnLayout, this.sortLayout) : this.drawnLayout;
+        this.freedRows = this.freedRows.filter(f => f[0] > oldest);
+        for (const r of this.allRegions()) r.writes = r.writes.filter(w => w[0] > oldest);
+    }
+
+    // count indices sorted for `layout` -> an order for the current one, in an array of
+    // capacity length: rows freed since are dropped, rows written since go first
+    patchOrder(indices, count, layout) {
+        if (indices.length !== this.capacity) {
+            const resized = new Uint32Array(this.capacity);
+            resized.set(indices.subarray(0, count));
+            indices = resized;
+        }
+        if (layout === this.layout) return [indices, count];
+
+        const freed = this.freedRows.filter(f => f[0] > layout);
+        if (freed.length) {
+            if (!(this.deadRows?.length >= this.capacity)) this.deadRows = new Uint8Array(this.capacity);
+            for (const [, start, end] of freed) this.deadRows.fill(1, start, end);
+            let kept = 0;
+            for (let k = 0; k < count; k++) if (!this.deadRows[indices[k] & INDEX_MASK]) indices[kept++] = indices[k];
+            for (const [, start, end] of freed) this.deadRows.fill(0, start, end);
+            count = kept;
+        }
+        const written = [];
+        let added = 0;
+        for (const r of this.allRegions()) {
+            for (const [l, from, to] of r.writes) {
+                if (l <= layout) continue;
+                written.push([r.start + from, r.start + to, r.slot << SLOT_SHIFT]);
+                added += to - from;
+            }
+        }
+        indices.copyWithin(added, 0, count);
+        let k = 0;
+        for (const [from, to, tag] of written) for (let i = from; i < to; i++) indices[k++] = i | tag;
+        return [indices, count + added];
+    }
+
+    // Row per object slot: scale, normal and shcoef min / max from its meta.lcc attributes
+    updateRangeTexture() {
+        const data = this.rangeTexture.image.data.fill(0);
+        for (const owner of [this, ...this.objects]) {
+            const slot = owner === this ? 0 : owner.slot;
+            const attributes = (owner === this ? this.chunks : owner.chunks).values().next().value?.attributes;
+            PACKED_RANGES.forEach(([name, lo, hi], j) => {
+                data.set(attributes?.[name]?.min ?? [lo, lo, lo], (slot * RANGE_TEXELS + j * 2) * 4);
+                data.set(attributes?.[name]?.max ?? [hi, hi, hi], (slot * RANGE_TEXELS + j * 2 + 1) * 4);
+            });
+        }
+        this.rangeTexture.needsUpdate = true;
+    }
+
+    // Texel per cell range of the regions, sorted by start: [start, end, tag], tags as in encodeSplats()
+    updateCellTexture() {
+        this.cellTexture?.dispose();
+        const ranges = [];
+        for (const r of this.allRegions()) {
+            for (const c of cellRangesOf(r.data) ?? []) {
+                const count = Math.min(c.count, r.count - c.start);
+                if (count > 0) ranges.push([r.start + c.start, r.start + c.start + count, cellTag(c)]);
+            }
+        }
+        ranges.sort((a, b) => a[0] - b[0]);
+        const height = Math.max(1, Math.ceil(ranges.length / TEXTURE_WIDTH));
+        const u32 = new Uint32Array(TEXTURE_WIDTH * height * 4);
+        ranges.forEach((range, i) => u32.set(range, i * 4));
+        this.cellTexture = new THREE.DataTexture(u32, TEXTURE_WIDTH, height, THREE.RGBAIntegerFormat, THREE.UnsignedIntType);
+        this.cellTexture.internalFormat = 'RGBA32UI';
+        this.cellTexture.needsUpdate = true;
+        const u = this.material.uniforms;
+        u.cellTexture.value = this.cellTexture;
+        u.cellRangeCount.value = ranges.length;
+    }
+
+    // SH in texture row order, like the splat texture; the shader looks rows up
+    // through the sorted a_index. Built from every region's chunk. Only degrees
+    // <= shDegree are packed (packed: whole shcoef.bin rows, so any degree needs just the uniform).
+    updateSHTexture() {
+        this.shTexture?.dispose();
+        this.shTexture = null;
+        this.shData = null;
+        this.shTextureDegree = 0;
+        this.shTooLarge = false;
+        const u = this.material.uniforms;
+        u.shDegree.value = 0;
+        const regions = this.allRegions().filter(r => chunkSH(r.data));
+        const degree = regions.length ? Math.max(0, Math.min(3, this.shDegree)) : 0;
+        if (degree === 0) return;
+
+        const texels = this.packed ? PACKED_SH_TEXELS : Math.ceil(SH_COEFFS[degree] * 3 / 4);
+        const height = Math.max(1, Math.ceil(this.capacity * texels / TEXTURE_WIDTH));
+        if (height > this.renderer.capabilities.maxTextureSize) {
+            console.warn(`SH texture too large for ${this.capacity} splats at degree ${degree}; rendering base color only`);
+            this.shTooLarge = true;
+            return;
+        }
+        this.shData = this.packed ? new Uint32Array(TEXTURE_WIDTH * height * 4) : new Float32Array(TEXTURE_WIDTH * height * 4);
+        this.shTextureDegree = this.packed ? 3 : degree;
+        u.shTexels.value = texels;
+        for (const r of regions) this.writeSH(r, 0);
+        if (this.packed) {
+            this.shTexture = this.uintTexture(this.shData, height);
+        } else {
+            this.shTexture = new THREE.DataTexture(this.shData, TEXTURE_WIDTH, height, THREE.RGBAFormat, THREE.FloatType);
+            this.shTexture.needsUpdate = true;
+            this.freshTextures.add(this.shTexture);
+        }
+        u.shTexture.value = this.shTexture;
+        u.shDegree.value = degree;
+    }
+
+    setSHDegree(degree) {
+        this.shDegree = degree;
+        if (!this.material) return;
+        // Lowering only needs the uniform; raising needs higher coefficients packed
+        if (degree <= this.shTextureDegree) this.material.uniforms.shDegree.value = degree;
+        else this.updateSHTexture();
     }
 
     update(camera) {
         if (!this.mesh) return;
+        if (this.chunksDirty) this.syncChunks();
+        this.flushUploads();
         const W = innerWidth, H = innerHeight;
         const fov_y = camera.fov * Math.PI / 180;
         const tan_fovy = Math.tan(fov_y * 0.5);
@@ -318,36 +964,399 @@ export class GaussianSplatRenderer {
         u.tan_fovy.value = tan_fovy;
 
         camera.updateMatrixWorld();
+        this.mesh.updateMatrixWorld(); // and the SplatObjects under it
         const vm = camera.matrixWorldInverse;
         u.viewmatrix.value.copy(vm);
         u.projmatrix.value.multiplyMatrices(camera.projectionMatrix, vm);
 
-        // Throttle sorting: check time and movement threshold
-        const now = performance.now();
-        if (!this.isWorkerSorting && (now - this.lastSortTime) > this.sortInterval) {
-            let diff = 0;
-            const els = camera.matrixWorld.elements, last = this.lastCameraMatrix.elements;
-            for (let i = 0; i < 16; i++) diff += Math.abs(els[i] - last[i]);
-            if (diff > 0.1) { // Increased threshold (was 0.01)
-                this.lastCameraMatrix.copy(camera.matrixWorld);
-                this.lastSortTime = now;
-                this.isWorkerSorting = true;
-                this.worker.postMessage({ type: 'sort', data: { viewMatrix: Array.from(vm.elements) }});
-            }
+        // Per slot: object matrix, view * model * object for the sort, and the
+        // camera back in the object's LCC for SH. Unused slots stay hidden.
+        const state = { views: new Float32Array(MAX_OBJECTS * 16), locals: new Float32Array(MAX_OBJECTS * 16), shown: new Uint8Array(MAX_OBJECTS) };
+        u.objectCamera.value.fill(0);
+        for (const object of [null, ...this.objects]) {
+            const s = object ? object.slot : 0;
+            const local = object ? object.matrix : IDENTITY;
+            _model.multiplyMatrices(this.mesh.matrixWorld, local);
+            _sort.multiplyMatrices(vm, _model).toArray(state.views, s * 16);
+            local.toArray(state.locals, s * 16);
+            state.shown[s] = object ? +object.visible : 1;
+            camera.getWorldPosition(_cam).applyMatrix4(_model.invert());
+            if (s === 0) this.cameraLCC.copy(_cam);
+            u.objectCamera.value.set([_cam.x, _cam.y, _cam.z, state.shown[s]], s * 4);
         }
+        u.objectMatrices.value.set(state.locals);
+        if (this.layer === 'camera') u.layerOffset.value.subVectors(this.cameraLCC, this.anchor);
+
+        // Sort whenever the view, an object transform or visibility changed and the worker
+        // is free; only the index buffer travels (transferred, not copied) in either direction
+        if (!this.isWorkerSorting && this.spareIndices && (this.needsSort || !sameSortState(state, this.sortState))) {
+            this.needsSort = false;
+            this.sortState = state;
+            this.isWorkerSorting = true;
+            this.sortLayout = this.layout;
+            const indices = this.spareIndices;
+            this.spareIndices = null;
+            this.worker.postMessage({ type: 'sort', objects: state, layout: this.layout, indices }, [indices.buffer]);
+        }
+    }
+
+    setSortMode(mode) {
+        if (!SORT_MODES.includes(mode)) throw new Error(`Unknown sort mode "${mode}" (expected ${SORT_MODES.join(', ')})`);
+        this.sortMode = mode;
+        this.needsSort = true;
+        this.worker?.postMessage({ type: 'mode', sortMode: mode });
     }
 
     resize(w, h) {
         if (this.material) { this.material.uniforms.W.value = w; this.material.uniforms.H.value = h; }
     }
 
+    /**
+     * Surface under canvas pixel (x, y), in CSS pixels like event.offsetX/Y.
+     * The view ray is composited front to back through every splat it crosses,
+     * each at its peak response along the ray; the surface is where accumulated
+     * opacity reaches `threshold`. Returns { point, normal, index, distance } in
+     * world space (normal: the splat's shortest axis, facing the camera) or null.
+     * index is the splat's row in the splat texture, valid while its chunk stays
+     * resident; object is the SplatObject hit, or null.
+     */
+    pick(x, y, { threshold = 0.5 } = {}) {
+        if (!this.mesh) return null;
+        if (this.chunksDirty) this.syncChunks();
+        if (!this.splatCount || this.layer !== 'world') return null;
+        const canvas = this.renderer.domElement;
+        _ndc.set(x / canvas.clientWidth * 2 - 1, 1 - y / canvas.clientHeight * 2);
+        _raycaster.setFromCamera(_ndc, this.camera);
+        const ray = _raycaster.ray;
+        this.mesh.updateMatrixWorld();
+        const near = this.camera.near;
+        const clip = this.clip;
+
+        const hits = []; // [t, alpha, region, row in it, its splats, object]
+        for (const [owner, regions] of this.regions) {
+            const object = owner === this ? null : owner;
+            if (object && !object.visible) continue;
+            const L = (object ? object.matrix : IDENTITY).elements;
+            // Ray into the object's LCC; t stays the world distance since d isn't renormalized
+            _inv.multiplyMatrices(this.mesh.matrixWorld, object ? object.matrix : IDENTITY).invert();
+            const o = _o.copy(ray.origin).applyMatrix4(_inv);
+            const d = _d.copy(ray.origin).add(ray.direction).applyMatrix4(_inv).sub(o);
+            const dd = d.lengthSq();
+
+            for (const r of regions.values()) {
+                // Packed: centers read from the rows, the rest decoded for splats near the ray only
+                const splats = this.packed ? packedSplats(r.data.packed, r.count, r.data.attributes) : r.data;
+                const P = splats.positions, stride = this.packed ? BYTES_PER_SPLAT / 4 : 3;
+                const C = r.data.cov3Ds, A = r.data.opacities;
+                const traceOf = this.packed ? splats.trace : i => C[i * 6] + C[i * 6 + 3] + C[i * 6 + 5];
+                if (r.grid?.count !== r.count) r.grid = splatGrid(P, stride, traceOf, r.count);
+                rayGrid(r.grid, o, d, i => {
+                    const x = P[i * stride], y = P[i * stride + 1], z = P[i * stride + 2];
+                    if (clip && !clipKeep(clip, L[0] * x + L[4] * y + L[8] * z + L[12],
+                        L[1] * x + L[5] * y + L[9] * z + L[13], L[2] * x + L[6] * y + L[10] * z + L[14])) return;
+                    const mx = o.x - x, my = o.y - y, mz = o.z - z;
+
+                    // Skip splats whose 3-sigma sphere (trace bounds the largest variance) misses the ray
+                    const tc = -(mx * d.x + my * d.y + mz * d.z) / dd;
+                    const ex = mx + tc * d.x, ey = my + tc * d.y, ez = mz + tc * d.z;
+                    if (ex * ex + ey * ey + ez * ez > 9 * traceOf(i)) return;
+
+                    const splat = this.packed ? splats.decode(i) : null;
+                    const cov = splat ? splat.cov3Ds : C, c = splat ? 0 : i * 6, opacity = splat ? splat.opacities[0] : A[i];
+                    const a = cov[c], b = cov[c + 1], f = cov[c + 2], e = cov[c + 3], g = cov[c + 4], h = cov[c + 5];
+
+                    // Sigma^-1, then the minimum of the quadratic form along the ray
+                    const k0 = e * h - g * g, k1 = f * g - b * h, k2 = b * g - f * e;
+                    const det = a * k0 + b * k1 + f * k2;
+                    if (!(det > 0)) return;
+                    const i00 = k0 / det, i01 = k1 / det, i02 = k2 / det;
+                    const i11 = (a * h - f * f) / det, i12 = (b * f - a * g) / det, i22 = (a * e - b * b) / det;
+                    const adx = i00 * d.x + i01 * d.y + i02 * d.z, ady = i01 * d.x + i11 * d.y + i12 * d.z, adz = i02 * d.x + i12 * d.y + i22 * d.z;
+                    const dAd = d.x * adx + d.y * ady + d.z * adz, mAd = mx * adx + my * ady + mz * adz;
+                    const mAm = mx * (i00 * mx + i01 * my + i02 * mz) + my * (i01 * mx + i11 * my + i12 * mz) + mz * (i02 * mx + i12 * my + i22 * mz);
+                    const t = -mAd / dAd;
+                    const alpha = Math.min(0.99, opacity * Math.exp(-0.5 * (mAm - mAd * mAd / dAd)));
+                    if (t > near && alpha >= MIN_ALPHA) hits.push([t, alpha, r, i, splats, object]);
+                });
+            }
+        }
+
+        hits.sort((p, q) => p[0] - q[0]);
+        let transmittance = 1;
+        for (const [t, alpha, r, i, splats, object] of hits) {
+            transmittance *= 1 - alpha;
+            if (1 - transmittance < threshold) continue;
+            _inv.multiplyMatrices(this.mesh.matrixWorld, object ? object.matrix : IDENTITY);
+            const [cov, c] = this.packed ? [splats.decode(i).cov3Ds, 0] : [splats.cov3Ds, i * 6];
+            const normal = smallestAxis(cov, c, new THREE.Vector3())
+                .applyMatrix3(_normalMatrix.getNormalMatrix(_inv)).normalize();
+            if (normal.dot(ray.direction) > 0) normal.negate();
+            return { point: ray.at(t, new THREE.Vector3()), normal, index: r.start + i, distance: t, object };
+        }
+        return null;
+    }
+
+    /**
+     * Clip boxes / planes (a ClipVolumes from lcc-clipping.js, in scene LCC
+     * coordinates, i.e. the mesh's local space) or null. Applied in the shader and by the sort worker, which leaves clipped
+     * splats out of the draw. Call again after changing the volumes.
+     */
+    setClipping(volumes) {
+        const clip = volumes?.size ? volumes.pack() : null;
+        if (clip && (clip.boxCount > MAX_CLIP_BOXES || clip.planeCount > MAX_CLIP_PLANES)) {
+            throw new Error(`At most ${MAX_CLIP_BOXES} clip boxes and ${MAX_CLIP_PLANES} clip planes`);
+        }
+        this.clipVolumes = volumes;
+        this.clip = clip;
+        if (this.material) {
+            const u = this.material.uniforms;
+            u.clipBoxCount.value = clip?.boxCount ?? 0;
+            u.clipIncludeCount.value = clip?.includeCount ?? 0;
+            u.clipPlaneCount.value = clip?.planeCount ?? 0;
+            u.clipBoxes.value.fill(0).set(clip?.boxes ?? []);
+            u.clipBoxExclude.value.fill(0).set(clip?.boxExclude ?? []);
+            u.clipPlanes.value.fill(0).set(clip?.planes ?? []);
+        }
+        this.worker?.postMessage({ type: 'clip', clip });
+        this.needsSort = true;
+    }
+
+    /**
+     * False-color views for QA (DEBUG_MODES): 'normals' (the stored normal as rgb,
+     * grey where the scan has none), 'depth' (view distance), 'opacity' (stored
+     * opacity, footprints drawn opaque), 'size' (square root of the covariance
+     * trace), 'cell' / 'lod' (the grid cell and LOD each splat was loaded from) and
+     * 'centers' (a 3 px dot per splat, faint ones included). depth and size map
+     * range = [min, max] in world units onto the ramp, log scale. 'none' restores color.
+     */
+    setDebugMode(mode, range = DEBUG_RANGES[mode]) {
+        if (!DEBUG_MODES.includes(mode)) throw new Error(`Unknown debug mode "${mode}" (expected ${DEBUG_MODES.join(', ')})`);
+        this.debugMode = mode;
+        this.debugRange = range ?? null;
+        if (!this.material) return;
+        const u = this.material.uniforms;
+        u.debugMode.value = DEBUG_MODES.indexOf(mode);
+        if (range) u.debugRange.value.fromArray(range);
+    }
+
+    // Splats farther than radius from the camera are not drawn (0 = no limit)
     setCullRadius(radius) {
+        this.cullRadius = radius;
         if (this.material) this.material.uniforms.cullRadius.value = radius;
     }
 
+    /**
+     * Approximate bytes held for the current splat set. cpu: the chunks as loaded,
+     * the texture data kept for partial uploads, the sort worker's arrays and the
+     * index buffers (the last three sized to the row capacity, which grows by half
+     * again when full); gpu: textures and the index attribute.
+     */
+    getMemoryStats() {
+        const n = this.splatCount;
+        const bytes = arrays => arrays.reduce((sum, v) => sum + (ArrayBuffer.isView(v) ? v.byteLength : 0), 0);
+        let chunks = 0;
+        for (const slot of [this.chunks, ...this.objects.map(o => o.chunks)]) for (const c of slot.values()) chunks += bytes(Object.values(c));
+        const textures = bytes([this.splatTexture, this.shTexture, this.rangeTexture, this.cellTexture].map(t => t?.image.data));
+        const worker = this.capacity * 32; // positions, depths, sort keys, scratch indices, clip lists
+        const indices = this.capacity * 4;
+        const pick = this.allRegions().reduce((sum, r) => sum + (r.grid ? bytes(Object.values(r.grid)) : 0), 0); // grids of picked regions
+        const cpu = { chunks, textures, worker, indices: indices * 2, pick };
+        const gpu = { textures, indices };
+        return {
+            mode: this.packed ? 'packed' : 'decoded', splats: n,
+            cpu: { ...cpu, total: Object.values(cpu).reduce((a, b) => a + b) },
+            gpu: { ...gpu, total: textures + indices }
+        };
+    }
+
     dispose() {
         this.worker?.terminate();
         this.geometry?.dispose();
         this.material?.dispose();
+        this.splatTexture?.dispose();
+        this.shTexture?.dispose();
+        this.rangeTexture?.dispose();
+        this.cellTexture?.dispose();
+    }
+}
+
+// pick() access to packed rows: centers, covariance trace from the scales, and a
+// full decode of one splat (into shared scratch) against the chunk's attributes
+function packedSplats(rows, n, attributes = {}) {
+    const u16 = new Uint16Array(rows.buffer, rows.byteOffset, n * BYTES_PER_SPLAT / 2);
+    const scratch = allocSplats(1);
+    const { min, max } = attributes.scale ?? { min: [-10, -10, -10], max: [10, 10, 10] };
+    return {
+        positions: new Float32Array(rows.buffer, rows.byteOffset, n * BYTES_PER_SPLAT / 4),
+        trace(i) {
+            let sum = 0;
+            for (let k = 0; k < 3; k++) sum += (min[k] + (max[k] - min[k]) * u16[i * 16 + 8 + k] / 65535) ** 2;
+            return sum;
+        },
+        decode(i) {
+            return decodeSplats(new DataView(rows.buffer, rows.byteOffset + i * BYTES_PER_SPLAT, BYTES_PER_SPLAT), 1, attributes, scratch);
+        }
+    };
+}
+
+// pick() grid over a region's splats, built on the first pick after its count
+// changes: splats binned by center into cubes sized for about PICK_CELL_SPLATS
+// each when evenly spread. Occupied cubes keep the bounds of their splats'
+// 3-sigma spheres and a run of `order`.
+function splatGrid(P, stride, traceOf, n) {
+    const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < 3; k++) {
+            min[k] = Math.min(min[k], P[i * stride + k]);
+            max[k] = Math.max(max[k], P[i * stride + k]);
+        }
+    }
+    // Flat scans get a thin slab instead of a zero volume
+    const longest = Math.max(...max.map((v, k) => v - min[k]), 1e-6);
+    const extent = max.map((v, k) => Math.max(v - min[k], longest * 1e-3));
+    const size = Math.cbrt(extent[0] * extent[1] * extent[2] * PICK_CELL_SPLATS / Math.max(n, 1));
+    const dims = extent.map(e => Math.min(1024, Math.max(1, Math.ceil(e / size))));
+    const cellOf = new Uint32Array(n), ids = new Map(), counts = [];
+    for (let i = 0; i < n; i++) {
+        let key = 0;
+        for (let k = 2; k >= 0; k--) key = key * dims[k] + Math.min(dims[k] - 1, Math.floor((P[i * stride + k] - min[k]) / extent[k] * dims[k]));
+        let c = ids.get(key);
+        if (c === undefined) {
+            c = counts.length;
+            ids.set(key, c);
+            counts.push(0);
+        }
+        counts[c]++;
+        cellOf[i] = c;
+    }
+    const cells = counts.length;
+    const offsets = new Uint32Array(cells + 1);
+    for (let c = 0; c < cells; c++) offsets[c + 1] = offsets[c] + counts[c];
+    const order = new Uint32Array(n), next = offsets.slice(0, cells);
+    const bounds = new Float32Array(cells * 6);
+    for (let c = 0; c < cells; c++) bounds.fill(Infinity, c * 6, c * 6 + 3).fill(-Infinity, c * 6 + 3, c * 6 + 6);
+    for (let i = 0; i < n; i++) {
+        const c = cellOf[i], b = c * 6, radius = 3 * Math.sqrt(traceOf(i));
+        order[next[c]++] = i;
+        for (let k = 0; k < 3; k++) {
+            const p = P[i * stride + k];
+            if (p - radius < bounds[b + k]) bounds[b + k] = p - radius;
+            if (p + radius > bounds[b + k + 3]) bounds[b + k + 3] = p + radius;
+        }
+    }
+    return { count: n, order, offsets, bounds };
+}
+
+// visit(i) for every splat in the cubes whose bounds the ray o + t d (t >= 0) enters
+function rayGrid(grid, o, d, visit) {
+    const { order, offsets, bounds } = grid;
+    const origin = [o.x, o.y, o.z], inv = [1 / d.x, 1 / d.y, 1 / d.z];
+    for (let c = 0; c < offsets.length - 1; c++) {
+        let near = 0, far = Infinity;
+        for (let k = 0; k < 3 && near <= far; k++) {
+            let t0 = (bounds[c * 6 + k] - origin[k]) * inv[k], t1 = (bounds[c * 6 + k + 3] - origin[k]) * inv[k];
+            if (t0 > t1) [t0, t1] = [t1, t0];
+            if (t0 > near) near = t0;
+            if (t1 < far) far = t1;
+        }
+        if (near > far) continue;
+        for (let j = offsets[c]; j < offsets[c + 1]; j++) visit(order[j]);
+    }
+}
+
+// Decoded rows [from, to) of a chunk -> splat texture data at row start + from: texel 0 =
+// center xyz (float bits) + rgba8, texels 1-2 = cov3D upper triangle, the packed normal and cell tag
+function encodeSplats(data, from, to, u32, start) {
+    const f32 = new Float32Array(u32.buffer);
+    const byte = v => Math.max(0, Math.min(255, Math.round(v * 255)));
+    const { positions, colors, opacities, cov3Ds, normals } = data;
+    for (let i = from; i < to; i++) {
+        const o = (start + i) * SPLAT_TEXELS * 4;
+        f32[o] = positions[i * 3];
+        f32[o + 1] = positions[i * 3 + 1];
+        f32[o + 2] = positions[i * 3 + 2];
+        u32[o + 3] = (byte(colors[i * 3]) | (byte(colors[i * 3 + 1]) << 8) | (byte(colors[i * 3 + 2]) << 16) | (byte(opacities[i]) << 24)) >>> 0;
+        f32.set(cov3Ds.subarray(i * 6, i * 6 + 6), o + 4);
+        u32[o + 10] = normals ? packNormal(normals, i * 3) : 0;
+        u32[o + 11] = NO_CELL;
+    }
+    for (const range of cellRangesOf(data) ?? []) {
+        const tag = cellTag(range);
+        for (let i = Math.max(from, range.start); i < Math.min(to, range.start + range.count); i++) u32[(start + i) * SPLAT_TEXELS * 4 + 11] = tag;
+    }
+}
+
+// Cell tag as the shader reads it: x | y << 12 | lod << 24
+function cellTag({ x, y, lod }) {
+    return ((x & 0xFFF) | ((y & 0xFFF) << 12) | (lod << 24)) >>> 0;
+}
+
+// Rows a chunk may grow to in place: a load's partial results are prefixes of the full arrays
+function chunkRows(data) {
+    const rows = data.packed ?? data.opacities;
+    if (rows.byteOffset !== 0) return data.splatCount;
+    return Math.max(data.splatCount, rows.buffer.byteLength / (data.packed ? BYTES_PER_SPLAT : 4));
+}
+
+// data is a longer (or equal) prefix of the arrays region r was written from
+function grows(r, data) {
+    const a = data.packed ?? data.positions, b = r.data.packed ?? r.data.positions;
+    return a.buffer === b.buffer && a.byteOffset === b.byteOffset && data.splatCount >= r.count && data.splatCount <= r.size;
+}
+
+function chunkSH(data) {
+    return data.shPacked ?? data.sphericalHarmonics ?? null;
+}
+
+// Normal at normals[o] -> 10 bits per axis (signed, normalized), bit 30 set when there is one
+function packNormal(normals, o) {
+    const x = normals[o], y = normals[o + 1], z = normals[o + 2];
+    const len = Math.hypot(x, y, z);
+    if (!(len > 1e-6)) return 0;
+    const q = v => Math.round((v / len * 0.5 + 0.5) * 1023);
+    return (q(x) | (q(y) << 10) | (q(z) << 20) | (1 << 30)) >>> 0;
+}
+
+// Chunk -> the cell ranges it covers: loadCell() results carry x / y / lod, load() results cellRanges
+function cellRangesOf(data) {
+    if (data.cellRanges) return data.cellRanges;
+    if (data.lod === undefined || data.x === undefined) return null;
+    return [{ x: data.x, y: data.y, lod: data.lod, start: 0, count: data.splatCount }];
+}
+
+function sameSortState(a, b) {
+    if (!b) return false;
+    for (let i = 0; i < a.views.length; i++) if (a.views[i] !== b.views[i] || a.locals[i] !== b.locals[i]) return false;
+    return a.shown.every((v, i) => v === b.shown[i]);
+}
+
+// Eigenvector of the smallest eigenvalue of the covariance at cov[o] (Jacobi sweeps)
+function smallestAxis(cov, o, out) {
+    const a = [[cov[o], cov[o + 1], cov[o + 2]], [cov[o + 1], cov[o + 3], cov[o + 4]], [cov[o + 2], cov[o + 4], cov[o + 5]]];
+    const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    for (let sweep = 0; sweep < 8; sweep++) {
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            if (Math.abs(a[p][q]) < 1e-30) continue;
+            const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+            const t = (theta < 0 ? -1 : 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k][p], akq = a[k][q];
+                a[k][p] = c * akp - s * akq;
+                a[k][q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p][k], aqk = a[q][k];
+                a[p][k] = c * apk - s * aqk;
+                a[q][k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k][p], vkq = v[k][q];
+                v[k][p] = c * vkp - s * vkq;
+                v[k][q] = s * vkp + c * vkq;
+            }
+        }
     }
+    const k = a[0][0] <= a[1][1] ? (a[0][0] <= a[2][2] ? 0 : 2) : (a[1][1] <= a[2][2] ? 1 : 2);
+    return out.set(v[0][k], v[1][k], v[2][k]);
 }